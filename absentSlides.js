@@ -0,0 +1,94 @@
+/**
+ * Absent slides
+ * A template slide names the data it depends on in its speaker notes, e.g.
+ *   requires: story
+ *   requires: praise_song, praise_lyrics
+ * Any placeholder name can be required, including schedule columns. When one of
+ * them is empty or unknown this week, the slide is deleted or, with
+ * CONFIG.ABSENT_SLIDES set to 'skip', kept but skipped in the slideshow.
+ */
+
+const ABSENT_SLIDE_POLICIES = {
+  DELETE: 'delete',
+  SKIP: 'skip'
+};
+
+const SLIDE_REQUIREMENT_PATTERN = /^\s*requires\s*:(.*)$/gim;
+
+/**
+ * Deletes or skips the slides whose required data is missing
+ * Returns the slides that were hidden, which should not be filled
+ */
+function hideAbsentSlides(slides, values, columns, praiseData, report) {
+  const context = createTemplateContext(values, columns, report);
+  const hidden = [];
+
+  slides.forEach(slide => {
+    try {
+      const missing = readSlideRequirements(slide).filter(name => !isSlideRequirementMet(name, context, praiseData));
+      if (missing.length === 0) return;
+
+      const label = describeSlide(slide);
+      if (CONFIG.ABSENT_SLIDES === ABSENT_SLIDE_POLICIES.SKIP) {
+        slide.setSkipped(true);
+        Logger.log('Skipped the ' + label + ' slide: no ' + missing.join(', '));
+      } else {
+        slide.remove();
+        Logger.log('Removed the ' + label + ' slide: no ' + missing.join(', '));
+      }
+      hidden.push(slide);
+    } catch (error) {
+      reportWarning(report, REPORT_STAGES.TEMPLATE, 'Could not hide the ' + describeSlide(slide) + ' slide: ' + error.toString());
+    }
+  });
+
+  return hidden;
+}
+
+/**
+ * Lists the names on the "requires:" lines of a slide's speaker notes
+ */
+function readSlideRequirements(slide) {
+  let notes = '';
+  try {
+    notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString();
+  } catch (error) {
+    return [];
+  }
+
+  const names = [];
+  let match;
+  SLIDE_REQUIREMENT_PATTERN.lastIndex = 0;
+  while ((match = SLIDE_REQUIREMENT_PATTERN.exec(notes)) !== null) {
+    match[1].split(',').map(name => name.trim()).forEach(name => {
+      if (name !== '' && names.indexOf(name) === -1) names.push(name);
+    });
+  }
+  return names;
+}
+
+/**
+ * Checks one required name; praise_lyrics needs at least one stanza, anything
+ * else needs a non-blank placeholder value
+ */
+function isSlideRequirementMet(name, context, praiseData) {
+  if (name === 'praise_lyrics') {
+    return Boolean(praiseData && praiseData.songs.some(song => praiseStanzas(song).length > 0));
+  }
+  return isTemplateValueSet(name, context);
+}
+
+/**
+ * Names a slide by the first line of its text, for the log
+ */
+function describeSlide(slide) {
+  for (let shape of slide.getShapes()) {
+    try {
+      const line = shape.getText().asString().trim().split('\n')[0];
+      if (line !== '') return '"' + line + '"';
+    } catch (error) {
+      // Skip shapes that don't have text
+    }
+  }
+  return 'untitled';
+}
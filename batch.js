@@ -0,0 +1,136 @@
+/**
+ * Builds for chosen dates
+ * createHymnsSlidesForDate rebuilds one service (for example last week's, for
+ * the archive) and createHymnsSlidesForRange builds every date of a service in
+ * a range, such as the next four weeks before a holiday. Each date gets its own
+ * deck and run report, so one bad week doesn't stop the rest. Every entry point
+ * takes an optional service id and defaults to the first configured service.
+ */
+
+const MAX_BATCH_WEEKS = 26;
+
+/**
+ * Builds the deck for one service date, given as a Date, 'yyyy-MM-dd' or 'MM/dd/yyyy'
+ * Returns the run report, or null when the date can't be read
+ */
+function createHymnsSlidesForDate(date, serviceId) {
+  loadSettings();
+  const service = getService(serviceId);
+  if (!service) {
+    Logger.log('Unknown service: ' + serviceId);
+    return null;
+  }
+
+  const serviceDate = parseServiceDate(date);
+  if (!serviceDate) {
+    Logger.log('Invalid service date: ' + date);
+    return null;
+  }
+  return buildServiceDeck(service, serviceDate, 'createHymnsSlidesForDate');
+}
+
+/**
+ * Builds a deck for every date of the service from startDate through endDate
+ * Returns one run report per date; failed weeks say why in their errors
+ */
+function createHymnsSlidesForRange(startDate, endDate, serviceId) {
+  loadSettings();
+  const service = getService(serviceId);
+  if (!service) {
+    Logger.log('Unknown service: ' + serviceId);
+    return [];
+  }
+
+  const serviceDates = listServiceDates(service, parseServiceDate(startDate), parseServiceDate(endDate || startDate));
+  if (!serviceDates) {
+    return [];
+  }
+
+  const reports = serviceDates.map(serviceDate => buildServiceDeck(service, serviceDate, 'createHymnsSlidesForRange'));
+  Logger.log(formatBatchSummary(reports));
+  return reports;
+}
+
+/**
+ * Builds decks for the next date of the service and the weeks after it
+ */
+function createHymnsSlidesForWeeks(weeks, serviceId) {
+  loadSettings();
+  const service = getService(serviceId);
+  if (!service) {
+    Logger.log('Unknown service: ' + serviceId);
+    return [];
+  }
+
+  const start = getUpcomingServiceDate(service);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 7 * (Math.max(1, weeks || 1) - 1));
+  return createHymnsSlidesForRange(start, end, service.id);
+}
+
+/**
+ * Lists the dates in a range that fall on the service's weekday, or null when
+ * the range is invalid or too long
+ */
+function listServiceDates(service, start, end) {
+  if (!start || !end) {
+    Logger.log('Invalid date range');
+    return null;
+  }
+
+  const current = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  current.setDate(current.getDate() + (getServiceWeekday(service) - current.getDay() + 7) % 7);
+
+  const dates = [];
+  while (current <= end) {
+    dates.push(new Date(current));
+    current.setDate(current.getDate() + 7);
+  }
+
+  if (dates.length === 0) {
+    Logger.log('No ' + service.weekday + 's between ' + getDateFormatted(start) + ' and ' + getDateFormatted(end));
+    return null;
+  }
+  if (dates.length > MAX_BATCH_WEEKS) {
+    Logger.log('Date range covers ' + dates.length + ' weeks, more than the limit of ' + MAX_BATCH_WEEKS);
+    return null;
+  }
+  return dates;
+}
+
+/**
+ * Reads a Date, 'yyyy-MM-dd' or 'MM/dd/yyyy' as a local date, or returns null
+ */
+function parseServiceDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const text = (value || '').toString().trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let parts = match ? [match[1], match[2], match[3]] : null;
+  if (!parts) {
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    parts = match ? [match[3], match[1], match[2]] : null;
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(part => parseInt(part, 10));
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Formats one line per service: its status and deck link, or the first error
+ */
+function formatBatchSummary(reports) {
+  const lines = ['Built ' + reports.length + ' service(s):'];
+  reports.forEach(report => {
+    const detail = report.errors.length > 0 ? report.errors[0].message : report.presentationUrl;
+    lines.push('  ' + (report.deckName || report.serviceDate) + ': ' + report.status.toUpperCase() + ' ' + detail);
+  });
+  return lines.join('\n');
+}
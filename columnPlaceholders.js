@@ -0,0 +1,40 @@
+/**
+ * Column placeholders
+ * Any column of the service's schedule row can be shown on a slide without a
+ * code change: {{col:Offertory}} names the column by its header (matched like
+ * other headers, ignoring case and punctuation) and {{offertory}} or
+ * {{deacon_of_the_day}} uses the header's slug. renderTemplate fills them;
+ * built-in values such as {{speaker}} win over a column with the same slug.
+ */
+
+/**
+ * Reads every headed cell of a schedule row as text, keyed by its header
+ */
+function readRowColumns(headerRow, row) {
+  const columns = {};
+
+  headerRow.forEach((header, index) => {
+    const name = (header === null || header === undefined ? '' : header.toString()).trim();
+    if (name === '' || columns.hasOwnProperty(name)) return;
+    columns[name] = formatColumnValue(row[index]);
+  });
+
+  return columns;
+}
+
+/**
+ * Formats one schedule cell for a slide
+ */
+function formatColumnValue(value) {
+  if (value instanceof Date) {
+    return getDateFormatted(value);
+  }
+  return value === null || value === undefined ? '' : value.toString().trim();
+}
+
+/**
+ * Turns a header into its slug placeholder name, e.g. "Deacon of the Day" -> deacon_of_the_day
+ */
+function slugifyHeader(header) {
+  return normalizeHeader(header).replace(/ /g, '_');
+}
@@ -0,0 +1,94 @@
+/**
+ * Output decks
+ * Builds are idempotent: a deck already named for the service date in the output
+ * folder is regenerated in place (same file and link) or, with
+ * CONFIG.RERUN_POLICY = 'archive', renamed into an archive folder and replaced.
+ */
+
+const RERUN_POLICIES = {
+  REGENERATE: 'regenerate',
+  ARCHIVE: 'archive'
+};
+
+/**
+ * Opens the deck to fill for presentationName, reusing or archiving any deck
+ * a previous run left with that name
+ */
+function openOutputPresentation(presentationName, templateId) {
+  const template = templateId || CONFIG.TEMPLATE_ID;
+  const folder = getOutputFolder(template);
+  const existing = findDecksByName(folder, presentationName);
+
+  if (existing.length > 0 && CONFIG.RERUN_POLICY !== RERUN_POLICIES.ARCHIVE) {
+    existing.slice(1).forEach(file => archiveDeck(file, folder));
+    Logger.log('Regenerating existing deck ' + presentationName);
+    return regenerateDeck(existing[0], template);
+  }
+
+  existing.forEach(file => archiveDeck(file, folder));
+  return SlidesApp.openById(
+    DriveApp.getFileById(template)
+      .makeCopy(presentationName, folder)
+      .getId()
+  );
+}
+
+/**
+ * Gets the folder decks are saved in: CONFIG.OUTPUT_FOLDER_ID, or else the
+ * template's own folder
+ */
+function getOutputFolder(templateId) {
+  if (CONFIG.OUTPUT_FOLDER_ID) {
+    return DriveApp.getFolderById(CONFIG.OUTPUT_FOLDER_ID);
+  }
+  const parents = DriveApp.getFileById(templateId || CONFIG.TEMPLATE_ID).getParents();
+  return parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+}
+
+/**
+ * Lists the files in a folder with the given name, leaving out any in the trash
+ */
+function findDecksByName(folder, name) {
+  const files = [];
+  const iterator = folder.getFilesByName(name);
+  while (iterator.hasNext()) {
+    const file = iterator.next();
+    if (!file.isTrashed()) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Replaces every slide of an existing deck with a fresh copy of the template slides
+ */
+function regenerateDeck(file, templateId) {
+  const presentation = SlidesApp.openById(file.getId());
+  const oldSlides = presentation.getSlides();
+
+  SlidesApp.openById(templateId || CONFIG.TEMPLATE_ID).getSlides().forEach(slide => {
+    presentation.appendSlide(slide);
+  });
+  oldSlides.forEach(slide => slide.remove());
+
+  return presentation;
+}
+
+/**
+ * Renames a deck with the time it was archived and moves it to the archive folder
+ */
+function archiveDeck(file, folder) {
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  const archivedName = file.getName() + ' (archived ' + stamp + ')';
+
+  file.setName(archivedName);
+  file.moveTo(getArchiveFolder(folder));
+  Logger.log('Archived the previous deck as "' + archivedName + '"');
+}
+
+/**
+ * Gets the archive subfolder of the output folder, creating it the first time
+ */
+function getArchiveFolder(folder) {
+  const folders = folder.getFoldersByName(CONFIG.ARCHIVE_FOLDER_NAME);
+  return folders.hasNext() ? folders.next() : folder.createFolder(CONFIG.ARCHIVE_FOLDER_NAME);
+}
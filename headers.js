@@ -0,0 +1,149 @@
+/**
+ * Schedule headers
+ * Finds the header row, the date column and the column of each COLUMNS field in
+ * a schedule sheet. Headers match after ignoring case, spacing, apostrophes and
+ * punctuation, so "Children’s story" finds CHILDREN_STORY, and each field also
+ * accepts the names in CONFIG.COLUMN_ALIASES. A long header one typo away from
+ * a single field still matches it.
+ */
+
+// Rows searched from the top of a sheet for the header row
+const HEADER_SCAN_ROWS = 10;
+
+// Shortest normalized name that may match with one typo
+const FUZZY_HEADER_MIN_LENGTH = 8;
+
+/**
+ * Resolves the layout of a schedule sheet
+ * Returns { headerRow, dateColumn, columns } with 0-based indexes, where columns
+ * maps COLUMNS keys to their column; headerRow and dateColumn are -1 when not found
+ */
+function resolveScheduleColumns(rows) {
+  let best = { headerRow: -1, columns: {}, count: 0 };
+
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, rowIndex) => {
+    const columns = matchHeaderRow(row);
+    const count = Object.keys(columns).length;
+    if (count >= 2 && count > best.count) {
+      best = { headerRow: rowIndex, columns: columns, count: count };
+    }
+  });
+
+  const dateColumn = best.columns.DATE !== undefined
+    ? best.columns.DATE
+    : detectDateColumn(rows, best.headerRow);
+
+  return { headerRow: best.headerRow, dateColumn: dateColumn, columns: best.columns };
+}
+
+/**
+ * Matches each cell of a row to a COLUMNS key; the first cell wins when two match the same key
+ */
+function matchHeaderRow(row) {
+  const candidates = getHeaderCandidates();
+  const columns = {};
+
+  row.forEach((cell, index) => {
+    const key = matchHeader(cell, candidates);
+    if (key && columns[key] === undefined) {
+      columns[key] = index;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Finds the COLUMNS key a header names, or null
+ */
+function matchHeader(header, candidates) {
+  const normalized = normalizeHeader(header);
+  if (normalized === '') return null;
+
+  const exact = candidates.find(candidate => candidate.name === normalized);
+  if (exact) return exact.key;
+
+  const close = candidates.filter(candidate =>
+    candidate.name.length >= FUZZY_HEADER_MIN_LENGTH && isOneEditApart(candidate.name, normalized));
+  const keys = close.map(candidate => candidate.key).filter((key, index, all) => all.indexOf(key) === index);
+  return keys.length === 1 ? keys[0] : null;
+}
+
+/**
+ * Lists every normalized name each COLUMNS key accepts: its header, then its aliases
+ */
+function getHeaderCandidates() {
+  const aliases = CONFIG.COLUMN_ALIASES || {};
+  const candidates = [];
+
+  Object.keys(COLUMNS).forEach(key => {
+    [COLUMNS[key]].concat(aliases[key] || []).forEach(name => {
+      const normalized = normalizeHeader(name);
+      if (normalized !== '') {
+        candidates.push({ key: key, name: normalized });
+      }
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Lowercases a header and drops apostrophes, punctuation and extra spaces
+ */
+function normalizeHeader(header) {
+  return (header === null || header === undefined ? '' : header.toString())
+    .toLowerCase()
+    .replace(/['‘’‛`´]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Checks whether two strings differ by at most one inserted, removed or changed character
+ */
+function isOneEditApart(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+
+  while (i < shorter.length && j < longer.length) {
+    if (shorter[i] === longer[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (shorter.length === longer.length) i++;
+    j++;
+  }
+
+  return edits + (longer.length - j) <= 1;
+}
+
+/**
+ * Picks the column holding the most dates below the header row, or -1
+ */
+function detectDateColumn(rows, headerRow) {
+  const counts = [];
+
+  rows.slice(headerRow + 1).forEach(row => {
+    row.forEach((cell, index) => {
+      if (cell instanceof Date) {
+        counts[index] = (counts[index] || 0) + 1;
+      }
+    });
+  });
+
+  let best = -1;
+  counts.forEach((count, index) => {
+    if (count > 0 && (best === -1 || count > counts[best])) {
+      best = index;
+    }
+  });
+  return best;
+}
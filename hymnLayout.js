@@ -0,0 +1,209 @@
+/**
+ * Hymn layout
+ * How a hymn's verses are laid out on the copies of its lyrics slide. The
+ * CONFIG.HYMN_* settings are the defaults, a lyrics template slide can change
+ * them with a line in its speaker notes, and CONFIG.HYMN_LAYOUTS can change
+ * them for one hymn number, e.g. { "462": { "refrain": "each" } }:
+ *   layout: refrain=end, lines=4, label=Verse {n} of {total}, amen=separate
+ * refrain - after 'each' verse, after 'allButLast' of them, or once at the 'end'
+ * lines   - the most lines on a slide; longer stanzas are split evenly (0 for no limit)
+ * label   - a first line for each verse, with {n} and {total} filled in ('none' for no label)
+ * amen    - a closing "Amen" is kept on the last slide, put on a 'separate' one, or dropped
+ */
+
+const HYMN_LAYOUT_CHOICES = {
+  refrain: ['each', 'allButLast', 'end'],
+  amen: ['keep', 'separate', 'drop']
+};
+
+const HYMN_LAYOUT_PATTERN = /^\s*layout\s*:(.*)$/gim;
+const AMEN_PATTERN = /^a-?men[.!]?$/i;
+
+/**
+ * Works out the layout for one hymn from the settings, then the notes of its
+ * lyrics template slide, then its CONFIG.HYMN_LAYOUTS entry
+ */
+function resolveHymnLayout(templateSlide, number, report) {
+  const layout = {
+    refrain: CONFIG.HYMN_REFRAIN,
+    lines: CONFIG.HYMN_LINES_PER_SLIDE,
+    label: CONFIG.HYMN_VERSE_LABEL,
+    amen: CONFIG.HYMN_AMEN
+  };
+
+  const overrides = [
+    { options: readHymnLayoutNotes(templateSlide), source: 'notes of the ' + describeSlide(templateSlide) + ' slide' },
+    { options: hymnLayoutEntry(number), source: 'HYMN_LAYOUTS entry for hymn ' + number }
+  ];
+  overrides.forEach(override => {
+    const result = normalizeHymnLayout(override.options);
+    result.problems.forEach(problem => {
+      reportWarning(report, REPORT_STAGES.TEMPLATE, 'Hymn layout in the ' + override.source + ': ' + problem);
+    });
+    Object.assign(layout, result.layout);
+  });
+
+  return layout;
+}
+
+/**
+ * Finds the CONFIG.HYMN_LAYOUTS options for a hymn number, matching keys
+ * like "12" and "012" alike
+ */
+function hymnLayoutEntry(number) {
+  const layouts = CONFIG.HYMN_LAYOUTS || {};
+  const key = Object.keys(layouts).find(item => number && parseInt(item, 10) === parseInt(number, 10));
+  return key ? layouts[key] || {} : {};
+}
+
+/**
+ * Reads the options on the "layout:" lines of a slide's speaker notes
+ */
+function readHymnLayoutNotes(slide) {
+  let notes = '';
+  try {
+    notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString();
+  } catch (error) {
+    return {};
+  }
+
+  const options = {};
+  let match;
+  HYMN_LAYOUT_PATTERN.lastIndex = 0;
+  while ((match = HYMN_LAYOUT_PATTERN.exec(notes)) !== null) {
+    match[1].split(',').forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (pair.trim() === '') return;
+      if (separator === -1) {
+        options[pair.trim()] = '';
+      } else {
+        options[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    });
+  }
+  return options;
+}
+
+/**
+ * Checks layout options from notes or settings
+ * Returns { layout } with the valid options, and { problems } describing the rest
+ */
+function normalizeHymnLayout(options) {
+  const layout = {};
+  const problems = [];
+
+  Object.keys(options).forEach(key => {
+    const text = String(options[key]).trim();
+    if (HYMN_LAYOUT_CHOICES.hasOwnProperty(key)) {
+      const choice = HYMN_LAYOUT_CHOICES[key].find(item => item.toLowerCase() === text.toLowerCase());
+      if (choice) {
+        layout[key] = choice;
+      } else {
+        problems.push(key + ' must be one of ' + HYMN_LAYOUT_CHOICES[key].join(', ') + ', not "' + text + '"');
+      }
+    } else if (key === 'lines') {
+      const lines = Number(text);
+      if (text !== '' && Number.isInteger(lines) && lines >= 0) {
+        layout.lines = lines;
+      } else {
+        problems.push('lines must be a whole number, not "' + text + '"');
+      }
+    } else if (key === 'label') {
+      layout.label = /^(?:none|off)$/i.test(text) ? '' : text;
+    } else {
+      problems.push('unknown option "' + key + '"');
+    }
+  });
+
+  return { layout: layout, problems: problems };
+}
+
+/**
+ * Lays a hymn out as the text of each of its lyrics slides, in order
+ */
+function layoutHymnSlides(hymn, layout) {
+  // A verse that is only a number is left over from the hymn page's verse links
+  const found = separateAmen((hymn.verses || []).filter(verse => verse && verse.trim() && !/^\d+$/.test(verse.trim())));
+  const verses = found.verses;
+  const refrain = hymn.refrain ? hymnRefrainStanza(hymn.refrain) : null;
+
+  const stanzas = [];
+  verses.forEach((verse, index) => {
+    const label = layout.label
+      ? layout.label.replace(/\{n\}/g, index + 1).replace(/\{total\}/g, verses.length)
+      : '';
+    stanzas.push({ heading: label, lines: verse.split('\n') });
+
+    const last = index === verses.length - 1;
+    if (refrain && (layout.refrain === 'each' || (layout.refrain === 'allButLast' && !last) || (layout.refrain === 'end' && last))) {
+      stanzas.push(refrain);
+    }
+  });
+
+  const slides = [];
+  stanzas.forEach(stanza => {
+    splitStanzaLines(stanza.lines, layout.lines).forEach(lines => {
+      slides.push((stanza.heading ? [stanza.heading] : []).concat(lines).join('\n'));
+    });
+  });
+
+  if (found.amen && slides.length > 0) {
+    if (layout.amen === 'keep') {
+      slides[slides.length - 1] += '\n' + found.amen;
+    } else if (layout.amen === 'separate') {
+      slides.push(found.amen);
+    }
+  }
+
+  return slides;
+}
+
+/**
+ * Formats the refrain as a stanza, with its "[Refrain]:" line as the heading
+ */
+function hymnRefrainStanza(refrain) {
+  const lines = refrain.replace(/Refrain/g, '[Refrain]').split('\n');
+  const heading = /^\[Refrain\]:?$/.test(lines[0].trim()) ? lines.shift() : '';
+  return { heading: heading, lines: lines };
+}
+
+/**
+ * Takes a closing "Amen" line, or a last verse that is only "Amen", off the verses
+ * Returns { verses, amen }, with amen '' when there is none
+ */
+function separateAmen(verses) {
+  const list = verses.slice();
+  if (list.length === 0) {
+    return { verses: list, amen: '' };
+  }
+
+  const lines = list[list.length - 1].split('\n');
+  const amen = lines[lines.length - 1].trim();
+  if (!AMEN_PATTERN.test(amen)) {
+    return { verses: list, amen: '' };
+  }
+
+  lines.pop();
+  if (lines.join('').trim() === '') {
+    list.pop();
+  } else {
+    list[list.length - 1] = lines.join('\n');
+  }
+  return { verses: list, amen: amen };
+}
+
+/**
+ * Splits a stanza's lines into as few even parts as keep each within the limit
+ */
+function splitStanzaLines(lines, limit) {
+  if (!limit || lines.length <= limit) {
+    return [lines];
+  }
+
+  const count = Math.ceil(lines.length / limit);
+  const parts = [];
+  for (let i = 0; i < count; i++) {
+    parts.push(lines.slice(Math.round(i * lines.length / count), Math.round((i + 1) * lines.length / count)));
+  }
+  return parts;
+}
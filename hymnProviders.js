@@ -0,0 +1,247 @@
+/**
+ * Hymn source providers
+ * Each provider looks up a hymn by hymnal and number and returns
+ * { title, verses, refrain } or null when it does not have the hymn.
+ * CONFIG.HYMN_PROVIDERS sets the order in which they are tried.
+ */
+
+const HYMN_PROVIDERS = {
+  sdahymnals: {
+    hymnals: ['sda'],
+    lookup: lookupSdaHymnals
+  },
+  localHymnal: {
+    hymnals: null,
+    lookup: lookupLocalHymnal
+  }
+};
+
+// Parsed local hymnal, loaded once per execution
+let localHymnalIndex = null;
+
+/**
+ * Looks up one hymn, trying each configured provider in order
+ */
+function fetchHymn(number, hymnal) {
+  const hymnalId = hymnal || CONFIG.HYMNAL;
+  let partialMatch = null;
+
+  for (let providerName of CONFIG.HYMN_PROVIDERS) {
+    const provider = HYMN_PROVIDERS[providerName];
+    if (!provider) {
+      Logger.log('Unknown hymn provider: ' + providerName);
+      continue;
+    }
+    if (provider.hymnals && !provider.hymnals.includes(hymnalId)) {
+      continue;
+    }
+
+    try {
+      const hymn = provider.lookup(hymnalId, number);
+      if (!hymn) continue;
+
+      if (hymn.verses && hymn.verses.length > 0) {
+        return hymn;
+      }
+      if (!partialMatch) partialMatch = hymn;
+    } catch (error) {
+      Logger.log('Hymn provider ' + providerName + ' failed for ' + hymnalId + ' ' + number + ': ' + error.toString());
+    }
+  }
+
+  return partialMatch;
+}
+
+/**
+ * Scrapes a hymn from sdahymnals.com
+ */
+function lookupSdaHymnals(hymnal, number) {
+  const url = `https://sdahymnals.com/Hymnal/${number.toString().padStart(3, '0')}`;
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+
+  if (response.getResponseCode() !== 200) {
+    return null;
+  }
+
+  const html = response.getContentText();
+  if (!html || html.includes("404 Not Found")) {
+    return null;
+  }
+
+  return {
+    title: extractHymnTitle(html),
+    ...extractHymnVerses(html)
+  };
+}
+
+/**
+ * Extracts hymn title from HTML content
+ */
+function extractHymnTitle(html) {
+  try {
+    const titleMatch = html.match(/<h1[^>]*class\s*=\s*["']?title\s+single-title\s+entry-title["']?[^>]*>(.*?)<\/h1>/);
+    return titleMatch ? decodeHtmlEntities(titleMatch[1].trim()) : "Untitled Hymn";
+  } catch (error) {
+    return "Untitled Hymn";
+  }
+}
+
+/**
+ * Extracts hymn verses from HTML content
+ */
+function extractHymnVerses(html) {
+  try {
+    const tableMatches = html.match(/<table[^>]*>([\s\S]*?)<\/table>/g);
+    if (!tableMatches) return { verses: [], refrain: "" };
+
+    const contentBoxHtml = tableMatches[0];
+    const verses = [];
+    let refrain = "";
+
+    const pTags = contentBoxHtml.match(/<p>([\s\S]*?)<\/p>/g) || [];
+
+    pTags.forEach(pTag => {
+      let verseHtml = pTag.replace(/<a[^>]*>.*?<\/a>/g, '')
+                         .replace(/<br\s*\/?>/gi, '||LINEBREAK||')
+                         .replace(/<\/?[^>]+(>|$)/g, "")
+                         .trim();
+
+      const decodedVerse = decodeHtmlEntities(verseHtml);
+
+      if (decodedVerse && decodedVerse.trim()) {
+        const cleanedVerse = decodedVerse.replace(/\|\|LINEBREAK\|\|/g, '\n')
+                                        .replace(/\n\s*\n/g, '\n')
+                                        .replace(/^\s+|\s+$/g, '')
+                                        .replace(/[ \t]+/g, ' ');
+
+        if (cleanedVerse.toLowerCase().includes("refrain")) {
+          refrain = cleanedVerse;
+        } else if (cleanedVerse.length > 0) {
+          verses.push(cleanedVerse);
+        }
+      }
+    });
+
+    return { verses, refrain };
+  } catch (error) {
+    return { verses: [], refrain: "" };
+  }
+}
+
+/**
+ * Looks up a hymn in the hymnal file at CONFIG.LOCAL_HYMNAL_FILE_ID
+ */
+function lookupLocalHymnal(hymnal, number) {
+  if (!CONFIG.LOCAL_HYMNAL_FILE_ID) {
+    return null;
+  }
+
+  if (!localHymnalIndex) {
+    const content = DriveApp.getFileById(CONFIG.LOCAL_HYMNAL_FILE_ID).getBlob().getDataAsString();
+    localHymnalIndex = indexLocalHymnal(parseLocalHymnal(content));
+  }
+
+  return localHymnalIndex[localHymnKey(hymnal, number)] || null;
+}
+
+/**
+ * Parses a local hymnal from JSON or CSV text into a list of hymns
+ *
+ * JSON: [{ "hymnal": "sda", "number": 462, "title": "...", "verses": ["..."], "refrain": "..." }]
+ * CSV:  hymnal,number,title,part,text  - one row per verse, part is the verse number or "refrain";
+ *       verses are put in order of their number, whatever order the rows are in
+ */
+function parseLocalHymnal(content) {
+  const trimmed = (content || '').trim();
+  if (trimmed === '') return [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : parsed.hymns || [];
+  }
+
+  const rows = Utilities.parseCsv(trimmed);
+  const header = rows[0].map(cell => cell.toString().trim().toLowerCase());
+  const column = name => header.indexOf(name);
+  const hymns = {};
+  const order = [];
+
+  rows.slice(1).forEach(row => {
+    const hymnal = row[column('hymnal')] || CONFIG.HYMNAL;
+    const number = row[column('number')];
+    if (!number) return;
+
+    const key = localHymnKey(hymnal, number);
+    if (!hymns[key]) {
+      hymns[key] = { hymnal, number, title: '', verses: [], refrain: '' };
+      order.push(key);
+    }
+
+    const hymn = hymns[key];
+    const title = row[column('title')];
+    const part = (row[column('part')] || '').toString().trim().toLowerCase();
+    const text = (row[column('text')] || '').toString().trim();
+
+    if (title && !hymn.title) hymn.title = title.toString().trim();
+    if (!text) return;
+
+    if (part === 'refrain') {
+      hymn.refrain = text;
+    } else {
+      hymn.verses.push({ number: parseInt(part, 10), text: text });
+    }
+  });
+
+  return order.map(key => {
+    const hymn = hymns[key];
+    hymn.verses = sortLocalHymnVerses(hymn.verses, hymn.hymnal + ' ' + hymn.number);
+    return hymn;
+  });
+}
+
+/**
+ * Orders a CSV hymn's verses by their part number; verses without a number go
+ * last in file order, and a repeated number keeps its last row
+ */
+function sortLocalHymnVerses(verses, label) {
+  const numbered = {};
+  const unnumbered = [];
+  verses.forEach(verse => {
+    if (isNaN(verse.number)) {
+      unnumbered.push(verse.text);
+      return;
+    }
+    if (numbered.hasOwnProperty(verse.number)) {
+      Logger.log('Local hymnal ' + label + ' has verse ' + verse.number + ' more than once, using the last row');
+    }
+    numbered[verse.number] = verse.text;
+  });
+
+  return Object.keys(numbered)
+    .map(number => parseInt(number, 10))
+    .sort((a, b) => a - b)
+    .map(number => numbered[number])
+    .concat(unnumbered);
+}
+
+/**
+ * Indexes parsed hymns by hymnal and number
+ */
+function indexLocalHymnal(hymns) {
+  const index = {};
+  hymns.forEach(hymn => {
+    index[localHymnKey(hymn.hymnal || CONFIG.HYMNAL, hymn.number)] = {
+      title: hymn.title || "Untitled Hymn",
+      verses: hymn.verses || [],
+      refrain: hymn.refrain || ""
+    };
+  });
+  return index;
+}
+
+/**
+ * Builds the lookup key for a hymn, ignoring zero padding in the number
+ */
+function localHymnKey(hymnal, number) {
+  return hymnal + ':' + parseInt(number, 10);
+}
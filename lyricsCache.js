@@ -0,0 +1,169 @@
+/**
+ * Persistent lyrics cache
+ * Parsed hymns and scripture passages are kept in a JSON file in Drive so each
+ * one is fetched only once. Entries look like:
+ *   "hymn:sda:462": { "storedAt": "2026-10-20T16:00:00.000Z", "pinned": false, "value": {...} }
+ * Edit an entry's value and set "pinned": true to keep a corrected lyric forever.
+ */
+
+const LYRICS_CACHE_FILE_NAME = 'Lyrics Cache.json';
+const LYRICS_CACHE_PROPERTY = 'LYRICS_CACHE_FILE_ID';
+
+// Cache file and its parsed entries, loaded once per execution
+let lyricsCache = null;
+
+/**
+ * Returns the cached value for key, or fetches, stores and returns a fresh one.
+ * An expired entry is still returned when the fetch fails or gives nothing usable.
+ */
+function getCachedOrFetch(key, fetcher, isUsable) {
+  const entry = readLyricsCacheEntry(key);
+  if (entry && !isLyricsCacheEntryExpired(entry)) {
+    return entry.value;
+  }
+
+  let value = null;
+  try {
+    value = fetcher();
+  } catch (error) {
+    Logger.log('Error fetching ' + key + ': ' + error.toString());
+  }
+
+  if (isUsable(value)) {
+    writeLyricsCacheEntry(key, value);
+    return value;
+  }
+
+  if (entry) {
+    Logger.log('Using expired cache entry for ' + key);
+    return entry.value;
+  }
+  return value;
+}
+
+/**
+ * Builds the cache key for a hymn
+ */
+function hymnCacheKey(hymnal, number) {
+  return 'hymn:' + hymnal + ':' + parseInt(number, 10);
+}
+
+/**
+ * Builds the cache key for a scripture passage
+ */
+function scriptureCacheKey(reference, version) {
+  return 'scripture:' + version + ':' + reference.toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Removes one entry so it is fetched again on the next build
+ */
+function invalidateLyricsCacheEntry(key) {
+  const cache = loadLyricsCache();
+  if (!cache.entries[key]) {
+    Logger.log('No cache entry for ' + key);
+    return false;
+  }
+  delete cache.entries[key];
+  saveLyricsCache();
+  Logger.log('Invalidated cache entry ' + key);
+  return true;
+}
+
+/**
+ * Reads one entry, or null when the key is not cached
+ */
+function readLyricsCacheEntry(key) {
+  try {
+    return loadLyricsCache().entries[key] || null;
+  } catch (error) {
+    Logger.log('Error reading lyrics cache: ' + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Stores a freshly fetched value, leaving pinned entries alone
+ */
+function writeLyricsCacheEntry(key, value) {
+  try {
+    const cache = loadLyricsCache();
+    if (cache.entries[key] && cache.entries[key].pinned) {
+      return;
+    }
+    cache.entries[key] = { storedAt: new Date().toISOString(), pinned: false, value: value };
+    saveLyricsCache();
+  } catch (error) {
+    Logger.log('Error writing lyrics cache: ' + error.toString());
+  }
+}
+
+/**
+ * Checks an entry against CONFIG.LYRICS_CACHE_TTL_DAYS; pinned entries never expire
+ */
+function isLyricsCacheEntryExpired(entry) {
+  if (entry.pinned) return false;
+
+  const storedAt = new Date(entry.storedAt);
+  if (isNaN(storedAt.getTime())) return true;
+
+  const ageDays = (new Date().getTime() - storedAt.getTime()) / (24 * 60 * 60 * 1000);
+  return ageDays > CONFIG.LYRICS_CACHE_TTL_DAYS;
+}
+
+/**
+ * Opens the cache file, creating it the first time
+ * A LYRICS_CACHE_FILE_ID setting that can't be opened is not replaced, since
+ * the setting would keep pointing at it; the run goes without a cache instead.
+ * With readOnly, as in a preview, no file is created or written this execution.
+ */
+function loadLyricsCache(readOnly) {
+  if (lyricsCache) return lyricsCache;
+
+  const properties = PropertiesService.getScriptProperties();
+  const fileId = CONFIG.LYRICS_CACHE_FILE_ID || properties.getProperty(LYRICS_CACHE_PROPERTY);
+  let file = null;
+
+  if (fileId) {
+    try {
+      file = DriveApp.getFileById(fileId);
+    } catch (error) {
+      if (CONFIG.LYRICS_CACHE_FILE_ID) {
+        Logger.log('Could not open the lyrics cache file ' + fileId + ' set in LYRICS_CACHE_FILE_ID, not caching this run');
+        lyricsCache = { file: null, entries: {}, readOnly: true };
+        return lyricsCache;
+      }
+      Logger.log('Could not open lyrics cache file ' + fileId + ', creating a new one');
+    }
+  }
+
+  if (!file && readOnly) {
+    lyricsCache = { file: null, entries: {}, readOnly: true };
+    return lyricsCache;
+  }
+  if (!file) {
+    file = DriveApp.createFile(LYRICS_CACHE_FILE_NAME, '{}', 'application/json');
+    properties.setProperty(LYRICS_CACHE_PROPERTY, file.getId());
+  }
+
+  let entries = {};
+  let broken = false;
+  try {
+    entries = JSON.parse(file.getBlob().getDataAsString() || '{}');
+  } catch (error) {
+    // Keep a broken hand edit on disk rather than overwriting it
+    Logger.log('Lyrics cache file is not valid JSON, not caching this run: ' + error.toString());
+    broken = true;
+  }
+
+  lyricsCache = { file: file, entries: entries, readOnly: Boolean(readOnly) || broken };
+  return lyricsCache;
+}
+
+/**
+ * Writes all entries back to the cache file
+ */
+function saveLyricsCache() {
+  if (!lyricsCache || lyricsCache.readOnly) return;
+  lyricsCache.file.setContent(JSON.stringify(lyricsCache.entries, null, 2));
+}
@@ -9,20 +9,84 @@ const CONFIG = {
   SPREADSHEET_ID: '<hidden>',
   MIN_FONT_SIZE: 50,
   DEFAULT_FONT_SIZE: 60,
-  LINE_SPACING: 2
+  LINE_SPACING: 2,
+  HYMNAL: 'sda',
+  HYMN_PROVIDERS: ['sdahymnals', 'localHymnal'],
+  LOCAL_HYMNAL_FILE_ID: '',
+  HYMN_REFRAIN: 'allButLast',
+  HYMN_LINES_PER_SLIDE: 0,
+  HYMN_VERSE_LABEL: '',
+  HYMN_AMEN: 'keep',
+  HYMN_LAYOUTS: {},
+  BIBLE_VERSION: 'NIV',
+  SCRIPTURE_PROVIDERS: ['biblegateway', 'localBible'],
+  LOCAL_BIBLE_FILE_ID: '',
+  LOCAL_BIBLE_VERSION: 'KJV',
+  LYRICS_CACHE_FILE_ID: '',
+  LYRICS_CACHE_TTL_DAYS: 180,
+  NOTIFY_RECIPIENTS: [],
+  NOTIFY_WEBHOOK_URL: '',
+  OUTPUT_FOLDER_ID: '',
+  RERUN_POLICY: 'regenerate',
+  ARCHIVE_FOLDER_NAME: 'Archive',
+  TRIGGER_DAY: 'TUESDAY',
+  TRIGGER_HOUR: 9,
+  RETRY_TRIGGER_DAY: 'FRIDAY',
+  RETRY_TRIGGER_HOUR: 9,
+  SERVICES: [
+    { id: 'sabbath', name: 'Sabbath', weekday: 'Saturday' }
+  ],
+  SCHEDULE_SHEET: 'Sabbath Schedule',
+  BULLETIN_SHEET: 'For Bulletin',
+  PRAISE_SUBJECTS: ['praise lyrics', 'worship lyrics'],
+  PRAISE_WINDOW_DAYS: 7,
+  PRAISE_SENDERS: [],
+  PRAISE_LABELS: [],
+  COLUMN_ALIASES: {
+    DATE: ['Service Date', 'Sabbath'],
+    SCRIPTURE_READING: ['Scripture', 'Bible Reading'],
+    SCRIPTURE_READER: ['Reader'],
+    SERMON_TITLE: ['Sermon'],
+    SPEAKER: ['Preacher'],
+    SPECIAL_MUSIC: ['Music'],
+    INTERCESSORY_PRAYER: ['Prayer', 'Pastoral Prayer'],
+    CHILDREN_STORY: ['Story', "Kids' Story"],
+    RESPONSE_HYMN: ['Response Hymn'],
+    BIBLE_VERSION: ['Version', 'Translation']
+  },
+  REQUIRED_COLUMNS: ['DATE', 'OPENING_HYMN', 'CLOSING_HYMN'],
+  ABSENT_SLIDES: 'delete',
+  SCRIPTURE_VERSES_PER_SLIDE: 2
 };
 
 // Column names in the spreadsheet
 const COLUMNS = {
+  DATE: 'Date',
   OPENING_HYMN: 'Opening Hymn',
   CLOSING_HYMN: 'Closing Hymn',
+  RESPONSE_HYMN: 'Hymn of Response',
+  COMMUNION_HYMN: 'Communion Hymn',
+  BAPTISM_HYMN: 'Baptismal Hymn',
   SCRIPTURE_READING: 'Scripture Reading',
   SCRIPTURE_READER: 'Scripture Reader',
   SERMON_TITLE: 'Sermon Title',
   SPEAKER: 'Speaker',
   SPECIAL_MUSIC: 'Special Music',
   INTERCESSORY_PRAYER: 'Intercessory Prayer',
-  CHILDREN_STORY: "Children's Story"
+  CHILDREN_STORY: "Children's Story",
+  BIBLE_VERSION: 'Bible Version'
+};
+
+// Schedule fields read from the other COLUMNS
+const COLUMN_FIELDS = {
+  SCRIPTURE_READING: 'scriptureReading',
+  SCRIPTURE_READER: 'reader',
+  SERMON_TITLE: 'sermonTitle',
+  SPEAKER: 'speaker',
+  SPECIAL_MUSIC: 'specialMusic',
+  INTERCESSORY_PRAYER: 'prayer',
+  CHILDREN_STORY: 'story',
+  BIBLE_VERSION: 'bibleVersion'
 };
 
 // Placeholders
@@ -31,98 +95,173 @@ const PLACEHOLDERS = {
   CLOSING: '{{closing}}',
   OPENING_LYRICS: '{{opening_lyrics}}',
   CLOSING_LYRICS: '{{closing_lyrics}}',
-  PASSAGE: '{{passage}}',
-  VERSE: '{{verse}}',
-  SERMON: '{{sermon}}',
-  SPEAKER: '{{speaker}}',
-  MUSIC: '{{music}}',
-  PRAYER: '{{prayer}}',
-  READING: '{{reading}}',
-  STORY: '{{story}}',
   PRAISE_SONG: '{{praise_song}}',
-  PRAISE_LYRICS: '{{praise_lyrics}}',
-  THIS_WEEK_DATE: '{{this_week_date}}',
-  THIS_WEEK_LEADERS: '{{this_week_leaders}}',
-  NEXT_WEEK_DATE: '{{next_week_date}}',
-  NEXT_WEEK_LEADERS: '{{next_week_leaders}}',
-  WEEK_AFTER_DATE: '{{week_after_date}}',
-  WEEK_AFTER_LEADERS: '{{week_after_leaders}}'
+  PRAISE_LYRICS: '{{praise_lyrics}}'
 };
 
+// Hymn slots in service order. Each slot is read from the column COLUMNS[column] and
+// fills {{hymn:<key>}} (title) and {{hymn:<key>_lyrics}} (lyrics template slide).
+// Opening and closing also accept the original {{opening}}/{{opening_lyrics}} style.
+// Any other schedule column headed "Hymn of <Key>" or "<Key> Hymn" is a slot too,
+// with the key written as a slug, e.g. "Second Baptismal Hymn" fills
+// {{hymn:second_baptismal}}; see findExtraHymnColumns.
+const HYMN_SLOTS = [
+  { key: 'opening', column: 'OPENING_HYMN', legacyTitle: PLACEHOLDERS.OPENING, legacyLyrics: PLACEHOLDERS.OPENING_LYRICS },
+  { key: 'response', column: 'RESPONSE_HYMN' },
+  { key: 'communion', column: 'COMMUNION_HYMN' },
+  { key: 'baptism', column: 'BAPTISM_HYMN' },
+  { key: 'closing', column: 'CLOSING_HYMN', legacyTitle: PLACEHOLDERS.CLOSING, legacyLyrics: PLACEHOLDERS.CLOSING_LYRICS }
+];
+
+const HYMN_PLACEHOLDER_PATTERN = /\{\{hymn:(\w+?)(_lyrics)?\}\}/g;
+
+/**
+ * Main function to create hymn slides for the next date of a service (the
+ * first configured service by default)
+ * Returns the run report, which is also logged as a summary and as JSON
+ */
+function createHymnsSlides(serviceId) {
+  loadSettings();
+  const service = getService(serviceId);
+  if (!service) {
+    Logger.log('Unknown service: ' + serviceId);
+    return null;
+  }
+
+  const report = buildServiceDeck(service, getUpcomingServiceDate(service), 'createHymnsSlides');
+  recordLastBuild(report);
+  return report;
+}
+
 /**
- * Main function to create hymn slides
+ * Runs the whole pipeline for one date of a service and notifies the media team
+ * Returns the run report, which is also logged as a summary and as JSON
  */
-function createHymnsSlides() {
+function buildServiceDeck(service, serviceDate, reportName) {
+  const report = createRunReport(reportName);
+  report.service = service.id;
+  
   try {
-    Logger.log('Starting createHymnsSlides');
+    Logger.log('Starting ' + reportName);
     
-    const spreadsheet = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
-    if (!spreadsheet) {
-      Logger.log('Could not find spreadsheet');
-      return;
+    const settings = validateSettings();
+    settings.warnings.forEach(message => reportWarning(report, REPORT_STAGES.SETTINGS, message));
+    settings.errors.forEach(message => reportError(report, REPORT_STAGES.SETTINGS, message));
+    
+    const serviceData = settings.errors.length === 0 ? gatherServiceData(report, serviceDate, service) : null;
+    if (serviceData) {
+      createPresentation(serviceData.hymnsData, serviceData.hymnDetails, serviceData.scriptureContent,
+                         serviceData.presentationName, serviceData.praiseData, serviceData.bulletinLeadersData, report, service);
     }
+    
+  } catch (error) {
+    reportError(report, REPORT_STAGES.RUN, 'Error in ' + reportName + ': ' + error.toString());
+  }
+  
+  finishRunReport(report);
+  Logger.log(formatRunReport(report));
+  Logger.log(runReportToJson(report));
+  notifyMediaTeam(report);
+  return report;
+}
 
-    const targetSheet = findTargetSheet(spreadsheet);
-    if (!targetSheet) {
-      Logger.log('Could not find target sheet');
-      return;
-    }
+/**
+ * Reads the schedule for one date of a service (by default the upcoming date
+ * of the first service) and fetches everything its sections need
+ */
+function gatherServiceData(report, serviceDate, service) {
+  const serviceDef = service || getService();
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  if (!spreadsheet) {
+    reportError(report, REPORT_STAGES.SHEET, 'Could not find spreadsheet');
+    return null;
+  }
 
-    const upcomingSaturday = getUpcomingSaturday();
-    const upcomingSaturdayString = getDateFormatted(upcomingSaturday);
-    Logger.log('Looking for date: ' + upcomingSaturdayString);
+  const targetSheet = findTargetSheet(spreadsheet, serviceDef);
+  if (!targetSheet) {
+    reportError(report, REPORT_STAGES.SHEET, 'Could not find a sheet matching "' + serviceDef.sheet + '"');
+    return null;
+  }
 
-    const hymnsData = extractHymnsData(targetSheet, upcomingSaturdayString);
+  const targetDate = serviceDate || getUpcomingServiceDate(serviceDef);
+  const targetDateString = getDateFormatted(targetDate);
+  const presentationName = getServiceDeckName(serviceDef, targetDate);
+  Logger.log('Looking for date: ' + targetDateString);
+  if (report) {
+    report.serviceDate = targetDateString;
+    report.deckName = presentationName;
+  }
 
-    if (!hymnsData.openingHymnNumber || !hymnsData.closingHymnNumber) {
-      Logger.log('Missing hymn numbers');
-      return;
-    }
+  const hymnsData = extractHymnsData(targetSheet, targetDateString, report, serviceDef.requiredColumns);
+  if (!hymnsData.hymnNumbers) {
+    return null;
+  }
 
-    const hymnDetails = fetchHymnDetails(hymnsData);
-    if (!hymnDetails) {
-      Logger.log('Could not fetch hymn details');
-      return;
-    }
+  const hasHymns = serviceHasSection(serviceDef, SERVICE_SECTIONS.HYMNS);
+  if (hasHymns && Object.keys(hymnsData.hymnNumbers).length === 0) {
+    reportError(report, REPORT_STAGES.SHEET, 'Missing hymn numbers');
+    return null;
+  }
 
-    const scriptureContent = fetchScriptureContent(hymnsData.scriptureReading);
-    const praiseData = searchGmailForPraiseLyrics();
-    const bulletinLeadersData = getBulletinLeadersData(spreadsheet, upcomingSaturday);
-    
-    createPresentation(hymnsData, hymnDetails, scriptureContent, upcomingSaturdayString, praiseData, bulletinLeadersData);
-    
-  } catch (error) {
-    Logger.log('Error in createHymnsSlides: ' + error.toString());
+  const hymnDetails = hasHymns ? fetchHymnDetails(hymnsData, report) : {};
+  if (!hymnDetails) {
+    reportError(report, REPORT_STAGES.HYMNS, 'Could not fetch hymn details');
+    return null;
+  }
+
+  const scriptureContent = serviceHasSection(serviceDef, SERVICE_SECTIONS.SCRIPTURE)
+    ? fetchScriptureContent(hymnsData.scriptureReading, report, hymnsData.bibleVersion)
+    : { passage: '', verse: '', version: '', readings: [] };
+  if (report) {
+    report.hymns = Object.keys(hymnDetails)
+      .map(key => ({ slot: key, label: hymnsData.hymnLabels[key], number: hymnsData.hymnNumbers[key], title: hymnDetails[key].title }));
+    report.scripture = scriptureContent.verse ? scriptureContent.verse.split(', ') : [];
   }
+
+  return {
+    presentationName: presentationName,
+    hymnsData: hymnsData,
+    hymnDetails: hymnDetails,
+    scriptureContent: scriptureContent,
+    praiseData: serviceHasSection(serviceDef, SERVICE_SECTIONS.PRAISE)
+      ? searchGmailForPraiseLyrics(report, targetDate)
+      : null,
+    bulletinLeadersData: serviceHasSection(serviceDef, SERVICE_SECTIONS.BULLETIN)
+      ? getBulletinLeadersData(spreadsheet, targetDate, report, serviceDef.bulletinSheet)
+      : null
+  };
 }
 
 /**
- * Gets bulletin leaders data from "For Bulletin" sheet
+ * Gets bulletin leaders data for a service date and the two weeks after it from
+ * the bulletin sheet (CONFIG.BULLETIN_SHEET by default)
  */
-function getBulletinLeadersData(spreadsheet, upcomingSaturday) {
+function getBulletinLeadersData(spreadsheet, serviceDate, report, sheetName) {
   try {
-    const bulletinSheet = spreadsheet.getSheetByName('For Bulletin');
+    const bulletinSheetName = sheetName || CONFIG.BULLETIN_SHEET;
+    const bulletinSheet = spreadsheet.getSheetByName(bulletinSheetName);
     if (!bulletinSheet) {
-      Logger.log('Could not find "For Bulletin" sheet');
+      reportWarning(report, REPORT_STAGES.BULLETIN, 'Could not find "' + bulletinSheetName + '" sheet');
       return null;
     }
     
     const dataRange = bulletinSheet.getDataRange().getValues();
     if (dataRange.length < 2) {
+      reportWarning(report, REPORT_STAGES.BULLETIN, '"' + bulletinSheetName + '" sheet has no rows');
       return null;
     }
     
     const headerRow = dataRange[0];
     
-    const thisWeekSaturday = new Date(upcomingSaturday);
-    const nextWeekSaturday = new Date(upcomingSaturday);
-    nextWeekSaturday.setDate(nextWeekSaturday.getDate() + 7);
-    const weekAfterSaturday = new Date(upcomingSaturday);
-    weekAfterSaturday.setDate(weekAfterSaturday.getDate() + 14);
+    const thisWeekDate = new Date(serviceDate);
+    const nextWeekDate = new Date(serviceDate);
+    nextWeekDate.setDate(nextWeekDate.getDate() + 7);
+    const weekAfterDate = new Date(serviceDate);
+    weekAfterDate.setDate(weekAfterDate.getDate() + 14);
     
-    const thisWeekString = getDateFormatted(thisWeekSaturday);
-    const nextWeekString = getDateFormatted(nextWeekSaturday);
-    const weekAfterString = getDateFormatted(weekAfterSaturday);
+    const thisWeekString = getDateFormatted(thisWeekDate);
+    const nextWeekString = getDateFormatted(nextWeekDate);
+    const weekAfterString = getDateFormatted(weekAfterDate);
     
     let thisWeekData = null;
     let nextWeekData = null;
@@ -135,17 +274,21 @@ function getBulletinLeadersData(spreadsheet, upcomingSaturday) {
         const dateString = getDateFormatted(dateCell);
         
         if (dateString === thisWeekString) {
-          thisWeekData = formatBulletinRow(headerRow, dataRange[i], thisWeekSaturday);
+          thisWeekData = formatBulletinRow(headerRow, dataRange[i], thisWeekDate);
         }
         if (dateString === nextWeekString) {
-          nextWeekData = formatBulletinRow(headerRow, dataRange[i], nextWeekSaturday);
+          nextWeekData = formatBulletinRow(headerRow, dataRange[i], nextWeekDate);
         }
         if (dateString === weekAfterString) {
-          weekAfterData = formatBulletinRow(headerRow, dataRange[i], weekAfterSaturday);
+          weekAfterData = formatBulletinRow(headerRow, dataRange[i], weekAfterDate);
         }
       }
     }
     
+    if (!thisWeekData) {
+      reportWarning(report, REPORT_STAGES.BULLETIN, 'No "' + bulletinSheetName + '" row for ' + thisWeekString);
+    }
+    
     return {
       thisWeek: thisWeekData || { date: thisWeekString, leaders: '' },
       nextWeek: nextWeekData || { date: nextWeekString, leaders: '' },
@@ -153,7 +296,7 @@ function getBulletinLeadersData(spreadsheet, upcomingSaturday) {
     };
     
   } catch (error) {
-    Logger.log('Error getting bulletin leaders data: ' + error.toString());
+    reportError(report, REPORT_STAGES.BULLETIN, 'Error getting bulletin leaders data: ' + error.toString());
     return null;
   }
 }
@@ -243,103 +386,79 @@ function formatCleanersValue(cleanersContent) {
 /**
  * Creates the presentation with all slides
  */
-function createPresentation(hymnsData, hymnDetails, scriptureContent, presentationName, praiseData, bulletinLeadersData) {
+function createPresentation(hymnsData, hymnDetails, scriptureContent, presentationName, praiseData, bulletinLeadersData, report, service) {
   try {
     Logger.log('Creating presentation: ' + presentationName);
     
-    const presentation = SlidesApp.openById(
-      DriveApp.getFileById(CONFIG.TEMPLATE_ID)
-        .makeCopy(presentationName)
-        .getId()
-    );
-
-    const slides = presentation.getSlides();
-    const templateSlides = findTemplateSlides(slides);
-    
-    if (!areAllTemplateSlidesFound(templateSlides)) {
-      Logger.log('Missing template slides');
-      return;
-    }
-
-    updateTitleSlides(templateSlides, hymnDetails);
-    createVersesSlides(templateSlides, hymnDetails);
-    updateScriptureSlides(slides, scriptureContent);
-    updateSermonSlides(slides, hymnsData.sermonTitle);
-    updateParticipantsSlides(slides, hymnsData);
-    
-    if (bulletinLeadersData) {
-      updateBulletinLeadersSlides(slides, bulletinLeadersData);
-    }
-    
-    if (praiseData) {
-      updatePraiseSongSlides(presentation, praiseData);
+    const serviceDef = service || getService();
+    const presentation = openOutputPresentation(presentationName, serviceDef.templateId);
+    if (report) {
+      report.presentationId = presentation.getId();
+      report.presentationUrl = presentation.getUrl();
     }
 
-    if (templateSlides.openingLyrics) {
-      templateSlides.openingLyrics.remove();
-    }
-    if (templateSlides.closingLyrics) {
-      templateSlides.closingLyrics.remove();
+    if (!populatePresentation(presentation, hymnsData, hymnDetails, scriptureContent, praiseData, bulletinLeadersData, report, serviceDef)) {
+      return;
     }
 
+    reportUnfilledPlaceholders(report, presentation);
     presentation.saveAndClose();
+    if (praiseData) {
+      markPraiseMessagesUsed(praiseData);
+    }
     Logger.log('Presentation created successfully');
     
   } catch (error) {
-    Logger.log('Error in createPresentation: ' + error.toString());
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error in createPresentation: ' + error.toString());
   }
 }
 
 /**
- * Updates slides with bulletin leaders placeholders
+ * Fills a copy of the template with the service data, for the sections the
+ * service includes
+ * Returns false when the template is missing slides the service needs
  */
-function updateBulletinLeadersSlides(slides, bulletinLeadersData) {
-  try {
-    slides.forEach((slide) => {
-      const shapes = slide.getShapes();
-      shapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          
-          const text = textRange.asString();
-          
-          if (text.includes(PLACEHOLDERS.THIS_WEEK_DATE)) {
-            textRange.replaceAllText(PLACEHOLDERS.THIS_WEEK_DATE, bulletinLeadersData.thisWeek.date);
-          }
-          if (text.includes(PLACEHOLDERS.THIS_WEEK_LEADERS)) {
-            textRange.replaceAllText(PLACEHOLDERS.THIS_WEEK_LEADERS, bulletinLeadersData.thisWeek.leaders);
-          }
-          if (text.includes(PLACEHOLDERS.NEXT_WEEK_DATE)) {
-            textRange.replaceAllText(PLACEHOLDERS.NEXT_WEEK_DATE, bulletinLeadersData.nextWeek.date);
-          }
-          if (text.includes(PLACEHOLDERS.NEXT_WEEK_LEADERS)) {
-            textRange.replaceAllText(PLACEHOLDERS.NEXT_WEEK_LEADERS, bulletinLeadersData.nextWeek.leaders);
-          }
-          if (text.includes(PLACEHOLDERS.WEEK_AFTER_DATE)) {
-            textRange.replaceAllText(PLACEHOLDERS.WEEK_AFTER_DATE, bulletinLeadersData.weekAfter.date);
-          }
-          if (text.includes(PLACEHOLDERS.WEEK_AFTER_LEADERS)) {
-            textRange.replaceAllText(PLACEHOLDERS.WEEK_AFTER_LEADERS, bulletinLeadersData.weekAfter.leaders);
-          }
-        } catch (error) {
-          // Skip shapes that don't have text
-        }
-      });
-    });
-  } catch (error) {
-    Logger.log('Error updating bulletin leaders slides: ' + error.toString());
+function populatePresentation(presentation, hymnsData, hymnDetails, scriptureContent, praiseData, bulletinLeadersData, report, service) {
+  const serviceDef = service || getService();
+  const slides = presentation.getSlides();
+  const templateSlides = findTemplateSlides(slides);
+  skipUnplacedHymns(templateSlides, hymnDetails, report);
+  
+  if (!areAllTemplateSlidesFound(templateSlides, hymnDetails)) {
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Missing template slides');
+    return false;
+  }
+
+  updateTitleSlides(templateSlides, hymnDetails, report);
+  createVersesSlides(templateSlides, hymnDetails, hymnsData.hymnNumbers, report);
+
+  const values = buildTemplateValues(hymnsData, scriptureContent, praiseData, bulletinLeadersData, serviceDef);
+  const hymnSlides = Object.values(templateSlides).reduce((list, template) => list.concat([template.title, template.lyrics]), []);
+  const hidden = hideAbsentSlides(slides.filter(slide => !hymnSlides.includes(slide)), values, hymnsData.columns, praiseData, report);
+
+  // Praise slides are copied per song first, so each copy is rendered with the rest
+  if (praiseData) {
+    createPraiseSlides(presentation, praiseData, report);
   }
+  renderTemplate(presentation.getSlides().filter(slide => !hidden.includes(slide)), values, hymnsData.columns, report);
+  
+  if (serviceHasSection(serviceDef, SERVICE_SECTIONS.SCRIPTURE)) {
+    createScriptureSlides(presentation, scriptureContent, report);
+  }
+
+  removeHymnTemplateSlides(templateSlides, hymnDetails);
+  return true;
 }
 
 /**
- * Finds the target sheet containing "Sabbath Schedule"
+ * Finds the schedule sheet of a service (CONFIG.SCHEDULE_SHEET by default)
  */
-function findTargetSheet(spreadsheet) {
+function findTargetSheet(spreadsheet, service) {
   try {
+    const serviceDef = service || getService();
     const sheets = spreadsheet.getSheets();
     for (let sheet of sheets) {
-      if (sheet.getName().includes("Sabbath Schedule")) {
+      if (matchesServiceSheet(serviceDef, sheet.getName())) {
         return sheet;
       }
     }
@@ -349,17 +468,6 @@ function findTargetSheet(spreadsheet) {
   }
 }
 
-/**
- * Gets the date of the upcoming Saturday
- */
-function getUpcomingSaturday() {
-  const today = new Date();
-  const upcomingSaturday = new Date(today);
-  const daysUntilSaturday = (6 - today.getDay()) % 7;
-  upcomingSaturday.setDate(today.getDate() + (daysUntilSaturday === 0 ? 7 : daysUntilSaturday));
-  return upcomingSaturday;
-}
-
 /**
  * Formats date as MM/dd/yyyy
  */
@@ -370,97 +478,129 @@ function getDateFormatted(date) {
 /**
  * Extracts hymn numbers and other data from spreadsheet
  */
-function extractHymnsData(sheet, targetDate) {
+function extractHymnsData(sheet, targetDate, report, requiredColumns) {
   try {
     const dataRange = sheet.getDataRange().getValues();
     if (dataRange.length < 2) {
+      reportError(report, REPORT_STAGES.SHEET, 'Sheet "' + sheet.getName() + '" has no schedule rows');
+      return {};
+    }
+    
+    const layout = resolveScheduleColumns(dataRange);
+    if (layout.headerRow === -1) {
+      reportError(report, REPORT_STAGES.SHEET, 'Could not find the header row in "' + sheet.getName() + '"');
+      return {};
+    }
+    if (layout.dateColumn === -1) {
+      reportError(report, REPORT_STAGES.SHEET, 'Could not find the date column in "' + sheet.getName() + '"');
       return {};
     }
     
-    const headerRow = dataRange[1];
-    const columnIndices = getColumnIndices(headerRow);
+    const missing = (requiredColumns || CONFIG.REQUIRED_COLUMNS)
+      .filter(key => key !== 'DATE' && layout.columns[key] === undefined);
+    if (missing.length > 0) {
+      reportError(report, REPORT_STAGES.SHEET, 'Missing required column(s) in "' + sheet.getName() + '": ' +
+        missing.map(key => COLUMNS[key] || key).join(', '));
+      return {};
+    }
+    
+    const columnIndices = getColumnIndices(layout.columns);
+    const extraSlots = findExtraHymnColumns(dataRange[layout.headerRow], layout.columns);
 
-    for (let i = 2; i < dataRange.length; i++) {
-      const dateCell = dataRange[i][0];
+    for (let i = layout.headerRow + 1; i < dataRange.length; i++) {
+      const dateCell = dataRange[i][layout.dateColumn];
       
       if (dateCell instanceof Date && getDateFormatted(dateCell) === targetDate) {
+        const hymnNumbers = {};
+        const hymnLabels = {};
+        HYMN_SLOTS.forEach(slot => {
+          const number = extractHymnNumber(dataRange[i][columnIndices.hymns[slot.key]]);
+          if (number) {
+            hymnNumbers[slot.key] = number;
+            hymnLabels[slot.key] = COLUMNS[slot.column];
+          }
+        });
+        extraSlots.forEach(slot => {
+          const number = extractHymnNumber(dataRange[i][slot.index]);
+          if (number) {
+            hymnNumbers[slot.key] = number;
+            hymnLabels[slot.key] = slot.label;
+          }
+        });
+
         return {
-          openingHymnNumber: extractHymnNumber(dataRange[i][columnIndices.openingHymn]),
-          closingHymnNumber: extractHymnNumber(dataRange[i][columnIndices.closingHymn]),
+          hymnNumbers: hymnNumbers,
+          hymnLabels: hymnLabels,
           scriptureReading: dataRange[i][columnIndices.scriptureReading] || '',
           sermonTitle: dataRange[i][columnIndices.sermonTitle] || '',
           speaker: dataRange[i][columnIndices.speaker] || '',
           specialMusic: dataRange[i][columnIndices.specialMusic] || '',
           prayer: dataRange[i][columnIndices.prayer] || '',
           reader: dataRange[i][columnIndices.reader] || '',
-          story: dataRange[i][columnIndices.story] || ''
+          story: dataRange[i][columnIndices.story] || '',
+          bibleVersion: dataRange[i][columnIndices.bibleVersion] || '',
+          serviceDate: targetDate,
+          columns: readRowColumns(dataRange[layout.headerRow], dataRange[i])
         };
       }
     }
+    reportError(report, REPORT_STAGES.SHEET, 'No row for ' + targetDate + ' in "' + sheet.getName() + '"');
     return {};
   } catch (error) {
-    Logger.log('Error extracting hymns data: ' + error.toString());
+    reportError(report, REPORT_STAGES.SHEET, 'Error extracting hymns data: ' + error.toString());
     return {};
   }
 }
 
 /**
- * Gets indices of relevant columns
+ * Gets indices of relevant columns from the columns resolved by resolveScheduleColumns
  */
-function getColumnIndices(headerRow) {
-  const indices = {};
+function getColumnIndices(columns) {
+  const indices = { hymns: {} };
   
-  headerRow.forEach((header, index) => {
-    const trimmedHeader = header.toString().trim();
-    
-    switch(trimmedHeader) {
-      case 'Opening Hymn': indices.openingHymn = index; break;
-      case 'Closing Hymn': indices.closingHymn = index; break;
-      case 'Scripture Reading': indices.scriptureReading = index; break;
-      case 'Sermon Title': indices.sermonTitle = index; break;
-      case 'Speaker': indices.speaker = index; break;
-      case 'Special Music': indices.specialMusic = index; break;
-      case 'Intercessory Prayer': indices.prayer = index; break;
-      case 'Scripture Reader': indices.reader = index; break;
-      case "Children's Story": indices.story = index; break;
+  HYMN_SLOTS.forEach(slot => {
+    if (columns[slot.column] !== undefined) {
+      indices.hymns[slot.key] = columns[slot.column];
+    }
+  });
+  
+  Object.keys(COLUMN_FIELDS).forEach(key => {
+    if (columns[key] !== undefined) {
+      indices[COLUMN_FIELDS[key]] = columns[key];
     }
   });
 
   return indices;
 }
 
-function updateParticipantsSlides(slides, hymnsData) {
-  try {
-    slides.forEach((slide) => {
-      const shapes = slide.getShapes();
-      shapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          
-          const text = textRange.asString();
-          
-          const replacements = {
-            '{{speaker}}': hymnsData.speaker || '',
-            '{{music}}': hymnsData.specialMusic || '',
-            '{{prayer}}': hymnsData.prayer || '',
-            '{{reading}}': hymnsData.reader || '',
-            '{{story}}': hymnsData.story || ''
-          };
-
-          Object.entries(replacements).forEach(([placeholder, value]) => {
-            if (text.includes(placeholder)) {
-              textRange.replaceAllText(placeholder, value);
-            }
-          });
-        } catch (error) {
-          // Skip
-        }
-      });
-    });
-  } catch (error) {
-    Logger.log('Error updating participants slides: ' + error.toString());
-  }
+/**
+ * Finds the hymn columns outside HYMN_SLOTS: headers like "Hymn of <Key>" or
+ * "<Key> Hymn" that no COLUMNS field claimed
+ * Returns [{ key, label, index }] in sheet order
+ */
+function findExtraHymnColumns(header, columns) {
+  const claimed = Object.keys(columns).map(key => columns[key]);
+  const slots = [];
+
+  header.forEach((cell, index) => {
+    if (claimed.includes(index)) return;
+    const name = normalizeHeader(cell);
+    const match = name.match(/^hymn of (.+)$/) || name.match(/^(.+) hymn$/);
+    if (!match) return;
+
+    const key = match[1].replace(/ /g, '_');
+    if (HYMN_SLOTS.some(slot => slot.key === key) || slots.some(slot => slot.key === key)) return;
+    slots.push({ key: key, label: cell.toString().trim(), index: index });
+  });
+
+  return slots;
+}
+
+/**
+ * Gets the HYMN_SLOTS entry for a slot key, or a plain slot for a key found elsewhere
+ */
+function hymnSlotFor(key) {
+  return HYMN_SLOTS.find(slot => slot.key === key) || { key: key };
 }
 
 /**
@@ -473,77 +613,85 @@ function extractHymnNumber(cellValue) {
 }
 
 /**
- * Fetches hymn details from the website
+ * Fetches hymn details for every filled hymn slot, keyed by slot
  */
-function fetchHymnDetails(hymnsData) {
-  const { openingHymnNumber, closingHymnNumber } = hymnsData;
+function fetchHymnDetails(hymnsData, report) {
+  const hymnNumbers = hymnsData.hymnNumbers || {};
   
   try {
-    const openingLyricsUrl = `https://sdahymnals.com/Hymnal/${openingHymnNumber}`;
-    const closingLyricsUrl = `https://sdahymnals.com/Hymnal/${closingHymnNumber}`;
+    const details = {};
     
-    const openingResponse = UrlFetchApp.fetch(openingLyricsUrl, { muteHttpExceptions: true });
-    const closingResponse = UrlFetchApp.fetch(closingLyricsUrl, { muteHttpExceptions: true });
-    
-    if (openingResponse.getResponseCode() !== 200 || closingResponse.getResponseCode() !== 200) {
-      return null;
-    }
-    
-    const openingLyricsHtml = openingResponse.getContentText();
-    const closingLyricsHtml = closingResponse.getContentText();
-    
-    if (!openingLyricsHtml || !closingLyricsHtml || 
-        openingLyricsHtml.includes("404 Not Found") || 
-        closingLyricsHtml.includes("404 Not Found")) {
-      return null;
+    for (let key of Object.keys(hymnNumbers)) {
+      const number = hymnNumbers[key];
+      if (!number) continue;
+      
+      const hymn = fetchCachedHymn(number);
+      if (!hymn) {
+        reportError(report, REPORT_STAGES.HYMNS, 'Could not fetch ' + key + ' hymn ' + number);
+        return null;
+      }
+      if (!hymn.verses || hymn.verses.length === 0) {
+        reportWarning(report, REPORT_STAGES.HYMNS, 'No verses found for ' + key + ' hymn ' + number + ' (' + hymn.title + ')');
+      }
+      details[key] = hymn;
     }
 
-    return {
-      opening: {
-        title: extractHymnTitle(openingLyricsHtml),
-        ...extractHymnVerses(openingLyricsHtml)
-      },
-      closing: {
-        title: extractHymnTitle(closingLyricsHtml),
-        ...extractHymnVerses(closingLyricsHtml)
-      }
-    };
+    return details;
   } catch (error) {
-    Logger.log('Error fetching hymn details: ' + error.toString());
+    reportError(report, REPORT_STAGES.HYMNS, 'Error fetching hymn details: ' + error.toString());
     return null;
   }
 }
 
 /**
- * Finds template slides in the presentation
+ * Fetches one hymn through the lyrics cache
+ */
+function fetchCachedHymn(number, hymnal) {
+  const hymnalId = hymnal || CONFIG.HYMNAL;
+  return getCachedOrFetch(
+    hymnCacheKey(hymnalId, number),
+    () => fetchHymn(number, hymnalId),
+    hymn => Boolean(hymn && hymn.verses && hymn.verses.length > 0)
+  );
+}
+
+/**
+ * Gets the title placeholders for a hymn slot
+ */
+function hymnTitlePlaceholders(slot) {
+  const placeholders = ['{{hymn:' + slot.key + '}}'];
+  if (slot.legacyTitle) placeholders.push(slot.legacyTitle);
+  return placeholders;
+}
+
+/**
+ * Finds the title and lyrics template slides of each hymn slot the template
+ * has placeholders for, keyed by slot
  */
 function findTemplateSlides(slides) {
-  const templates = {
-    title: null,
-    openingLyrics: null,
-    closingLyrics: null,
-    openingTitle: null,
-    closingTitle: null
-  };
+  const templates = {};
 
   slides.forEach(slide => {
     const shapes = slide.getShapes();
     shapes.forEach(shape => {
       try {
         const text = shape.getText()?.asString() || '';
-        if (text.includes(PLACEHOLDERS.OPENING)) {
-          templates.openingTitle = slide;
-          if (!templates.title) templates.title = slide;
-        }
-        if (text.includes(PLACEHOLDERS.OPENING_LYRICS)) {
-          templates.openingLyrics = slide;
-        }
-        if (text.includes(PLACEHOLDERS.CLOSING_LYRICS)) {
-          templates.closingLyrics = slide;
-        }
-        if (text.includes(PLACEHOLDERS.CLOSING)) {
-          templates.closingTitle = slide;
+        const found = [];
+        let match;
+        HYMN_PLACEHOLDER_PATTERN.lastIndex = 0;
+        while ((match = HYMN_PLACEHOLDER_PATTERN.exec(text)) !== null) {
+          found.push({ key: match[1], part: match[2] ? 'lyrics' : 'title' });
         }
+        HYMN_SLOTS.forEach(slot => {
+          if (slot.legacyTitle && text.includes(slot.legacyTitle)) found.push({ key: slot.key, part: 'title' });
+          if (slot.legacyLyrics && text.includes(slot.legacyLyrics)) found.push({ key: slot.key, part: 'lyrics' });
+        });
+
+        found.forEach(item => {
+          const template = templates[item.key] || { slot: hymnSlotFor(item.key), title: null, lyrics: null };
+          if (!template[item.part]) template[item.part] = slide;
+          templates[item.key] = template;
+        });
       } catch (error) {
         // Skip
       }
@@ -554,86 +702,109 @@ function findTemplateSlides(slides) {
 }
 
 /**
- * Checks if all required template slides are found
+ * Leaves out the hymns of columns outside HYMN_SLOTS that the template has no
+ * slides for, since such a column may not be meant as a hymn slot
+ */
+function skipUnplacedHymns(templates, hymnDetails, report) {
+  Object.keys(hymnDetails).forEach(key => {
+    const template = templates[key];
+    if (HYMN_SLOTS.some(slot => slot.key === key) || (template && template.title && template.lyrics)) return;
+    reportWarning(report, REPORT_STAGES.TEMPLATE, 'The template has no {{hymn:' + key + '}} and {{hymn:' + key +
+      '_lyrics}} slides, so the ' + key + ' hymn was left out');
+    delete hymnDetails[key];
+  });
+}
+
+/**
+ * Checks that every hymn being sung has both of its template slides
  */
-function areAllTemplateSlidesFound(templates) {
-  return templates.title && 
-         templates.openingLyrics && 
-         templates.closingLyrics && 
-         templates.openingTitle && 
-         templates.closingTitle;
+function areAllTemplateSlidesFound(templates, hymnDetails) {
+  return Object.keys(hymnDetails).every(key => templates[key] && templates[key].title && templates[key].lyrics);
 }
 
 /**
  * Updates title slides with hymn information
  */
-function updateTitleSlides(templates, hymnDetails) {
+function updateTitleSlides(templates, hymnDetails, report) {
   try {
-    if (templates.openingTitle && hymnDetails.opening) {
-      templates.openingTitle.replaceAllText(PLACEHOLDERS.OPENING, hymnDetails.opening.title);
-    }
-    if (templates.closingTitle && hymnDetails.closing) {
-      templates.closingTitle.replaceAllText(PLACEHOLDERS.CLOSING, hymnDetails.closing.title);
-    }
+    Object.keys(templates).forEach(key => {
+      const template = templates[key];
+      const hymn = hymnDetails[key];
+      if (template.title && hymn) {
+        hymnTitlePlaceholders(template.slot).forEach(placeholder => {
+          template.title.replaceAllText(placeholder, hymn.title);
+        });
+      }
+    });
   } catch (error) {
-    Logger.log('Error updating title slides: ' + error.toString());
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error updating title slides: ' + error.toString());
   }
 }
 
 /**
- * Creates verse slides for both opening and closing hymns
+ * Creates verse slides for every hymn being sung, laid out as described in hymnLayout.js
  */
-function createVersesSlides(templates, hymnDetails) {
+function createVersesSlides(templates, hymnDetails, hymnNumbers, report) {
   try {
-    const createSlidesForHymn = (verses, refrain, templateSlide) => {
-      if (!verses || !Array.isArray(verses) || !templateSlide) {
+    Object.keys(templates).forEach(key => {
+      const template = templates[key];
+      const hymn = hymnDetails[key];
+      if (!template.lyrics || !hymn || !Array.isArray(hymn.verses)) {
         return;
       }
-      
-      const slidesToCreate = [];
-
-      verses.forEach((verse, index) => {
-        if (verse && verse.trim()) {
-          slidesToCreate.push({ type: 'verse', text: verse });
-          
-          if (refrain && index < verses.length - 1) {
-            const formattedRefrain = refrain.replace(/Refrain/g, '[Refrain]');
-            slidesToCreate.push({ type: 'refrain', text: formattedRefrain });
-          }
-        }
-      });
 
-      if (slidesToCreate.length > 0) {
-        const lastSlideText = slidesToCreate[slidesToCreate.length - 1].text;
-        if (/^\d+$/.test(lastSlideText.trim())) {
-          slidesToCreate.pop();
-        }
-      }
+      const layout = resolveHymnLayout(template.lyrics, (hymnNumbers || {})[key], report);
 
-      slidesToCreate.reverse().forEach((slideData) => {
+      // Each copy goes right after the template, so create them last to first
+      layoutHymnSlides(hymn, layout).reverse().forEach(text => {
         try {
-          const newSlide = templateSlide.duplicate();
+          const newSlide = template.lyrics.duplicate();
           const textShape = findMainTextShape(newSlide);
           if (textShape) {
-            adjustFontSizeToFitShape(textShape, slideData.text);
+            fitTextOnSlides(newSlide, textShape, text);
           }
         } catch (error) {
           // Skip
         }
       });
-    };
-
-    if (hymnDetails.opening) {
-      createSlidesForHymn(hymnDetails.opening.verses, hymnDetails.opening.refrain, templates.openingLyrics);
-    }
-    if (hymnDetails.closing) {
-      createSlidesForHymn(hymnDetails.closing.verses, hymnDetails.closing.refrain, templates.closingLyrics);
-    }
+    });
   } catch (error) {
-    Logger.log('Error creating verses slides: ' + error.toString());
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error creating verses slides: ' + error.toString());
   }
 }
 
+/**
+ * Removes the lyrics template slides, and the title slides of empty hymn slots
+ */
+function removeHymnTemplateSlides(templates, hymnDetails) {
+  const inUse = [];
+  Object.keys(hymnDetails).forEach(key => {
+    if (templates[key] && templates[key].title) inUse.push(templates[key].title);
+  });
+
+  const removed = [];
+  Object.keys(templates).forEach(key => {
+    const template = templates[key];
+
+    const toRemove = [template.lyrics];
+    if (!hymnDetails[key] && template.title) {
+      if (inUse.includes(template.title)) {
+        // Shared with a hymn being sung, so only clear this slot's placeholder
+        hymnTitlePlaceholders(template.slot).forEach(placeholder => template.title.replaceAllText(placeholder, ''));
+      } else {
+        toRemove.push(template.title);
+      }
+    }
+
+    toRemove.forEach(slide => {
+      if (slide && !removed.includes(slide)) {
+        slide.remove();
+        removed.push(slide);
+      }
+    });
+  });
+}
+
 /**
  * Finds the main text shape in a slide
  */
@@ -657,206 +828,90 @@ function findMainTextShape(slide) {
 }
 
 /**
- * Adjusts font size to fit text within shape
+ * Fetches scripture content through the providers in scriptureProviders.js
+ * The reading is parsed and checked first, and invalid references are reported
+ * and left out. Each reference is read in its own "(KJV)" version, else the
+ * row's version, else CONFIG.BIBLE_VERSION
+ * Returns { passage, verse, version, readings }, where readings lists each
+ * reference and version with its verses as { number, text }, and the book
+ * name and first and last chapter it was parsed into
  */
-function adjustFontSizeToFitShape(shape, text) {
-  try {
-    const textRange = shape.getText();
-    if (!textRange) return;
-    
-    const cleanedText = text.replace(/\n\s*\n/g, '\n').replace(/^\s+|\s+$/g, '').trim();
-    
-    textRange.setText(cleanedText);
-    
-    let fontSize = CONFIG.DEFAULT_FONT_SIZE;
-    const shapeHeight = shape.getHeight();
-    
-    while (calculateTextHeight(cleanedText, fontSize) > shapeHeight && fontSize > CONFIG.MIN_FONT_SIZE) {
-      fontSize--;
-    }
-    
-    textRange.getTextStyle().setFontSize(fontSize);
-  } catch (error) {
-    // Skip
+function fetchScriptureContent(scriptureReading, report, rowVersion) {
+  if (!scriptureReading) {
+    reportWarning(report, REPORT_STAGES.SCRIPTURE, 'No scripture reading in the schedule');
+    return { passage: '', verse: '', version: '', readings: [] };
   }
-}
-
-/**
- * Calculates text height based on font size and content
- */
-function calculateTextHeight(text, fontSize) {
-  const numLines = (text.match(/\n/g) || []).length + 1;
-  return fontSize * CONFIG.LINE_SPACING * numLines;
-}
-
-/**
- * Fetches scripture content from Bible API
- */
-function fetchScriptureContent(scriptureReading) {
-  if (!scriptureReading) return { passage: '', verse: '' };
 
   try {
-    const verses = scriptureReading.split(',').map(v => v.trim());
-    const responses = [];
-    
-    for (let verse of verses) {
-      const url = `https://www.biblegateway.com/passage/?search=${encodeURIComponent(verse)}&version=NIV`;
-      try {
-        const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-        if (response.getResponseCode() === 200) {
-          responses.push(response);
+    const columnVersion = normalizeBibleVersion(rowVersion);
+    const defaultVersion = columnVersion || CONFIG.BIBLE_VERSION;
+    if (!columnVersion && String(rowVersion || '').trim() !== '') {
+      reportWarning(report, REPORT_STAGES.SCRIPTURE, 'Bible version "' + String(rowVersion).trim() +
+        '" is not a version abbreviation such as NKJV; using ' + CONFIG.BIBLE_VERSION);
+    }
+    const parsed = parseScriptureReading(scriptureReading, defaultVersion);
+    parsed.errors.forEach(message => reportWarning(report, REPORT_STAGES.SCRIPTURE, message));
+    const references = parsed.references;
+    const readings = references
+      .map(reading => {
+        const fetched = fetchScripture(reading, reading.version);
+        if (fetched.verses.length === 0) {
+          reportWarning(report, REPORT_STAGES.SCRIPTURE, 'Could not fetch scripture for ' + reading.reference);
+        } else if (fetched.version !== reading.version) {
+          reportWarning(report, REPORT_STAGES.SCRIPTURE, 'Used the local ' + fetched.version + ' for ' +
+            reading.reference + ': ' + reading.version + ' could not be fetched');
         }
-        Utilities.sleep(1000);
-      } catch (error) {
-        // Skip
-      }
-    }
-    
-    const passages = responses
-      .map(response => extractScriptureText(response.getContentText()))
-      .filter(text => text && text.trim() !== '');
+        return {
+          reference: reading.reference,
+          version: fetched.version,
+          verses: fetched.verses,
+          book: reading.book.singular || reading.book.name,
+          chapter: reading.chapter,
+          endChapter: reading.endChapter
+        };
+      })
+      .filter(reading => reading.verses.length > 0);
 
     return {
-      passage: passages.join(' '),
-      verse: verses.join(', ')
+      passage: readings.map(reading => formatScriptureVerses(reading.verses)).join(' '),
+      verse: references.map(reading => reading.reference).join(', '),
+      version: readings.map(reading => reading.version)
+        .filter((version, index, all) => all.indexOf(version) === index).join(', '),
+      readings: readings
     };
   } catch (error) {
-    return { passage: '', verse: '' };
+    reportError(report, REPORT_STAGES.SCRIPTURE, 'Error fetching scripture: ' + error.toString());
+    return { passage: '', verse: '', version: '', readings: [] };
   }
 }
 
 /**
- * Extracts scripture text from HTML
+ * Uppercases a version abbreviation, or returns '' for an empty or malformed one
  */
-function extractScriptureText(htmlContent) {
-  try {
-    const stdTextRegex = /<[^>]*class\s*=\s*["']?[^"']*std-text[^"']*["']?[^>]*>([\s\S]*)/i;
-    const stdTextMatch = htmlContent.match(stdTextRegex);
-    
-    if (!stdTextMatch || !stdTextMatch[1]) {
-      return '';
-    }
-    
-    let textContent = stdTextMatch[1];
-    
-    let divCount = 1;
-    let endIndex = 0;
-    
-    for (let i = 0; i < textContent.length; i++) {
-      if (textContent.substring(i, i + 4) === '<div') {
-        let tagEnd = textContent.indexOf('>', i);
-        if (tagEnd !== -1) {
-          divCount++;
-          i = tagEnd;
-        }
-      } else if (textContent.substring(i, i + 6) === '</div>') {
-        divCount--;
-        if (divCount === 0) {
-          endIndex = i;
-          break;
-        }
-        i += 5;
-      }
-    }
-    
-    textContent = endIndex > 0 ? textContent.substring(0, endIndex) : textContent;
-    
-    const verseNumbers = [];
-    textContent = textContent.replace(/<[^>]*class\s*=\s*["']?[^"']*versenum[^"']*["']?[^>]*>([\s\S]*?)<\/[^>]+>/gi, (match, verseNum) => {
-      const cleanVerseNum = verseNum.replace(/<[^>]+>/g, '').trim();
-      verseNumbers.push(cleanVerseNum);
-      return `{{VERSE_${verseNumbers.length - 1}}}`;
-    });
-    
-    textContent = textContent.replace(/<sup[^>]*>[\s\S]*?<\/sup>/gi, '');
-    textContent = textContent.replace(/<[^>]+>/g, ' ');
-    textContent = textContent.replace(/\(\s*[A-Z]\s*\)/g, '');
-    textContent = textContent.replace(/\s+/g, ' ').trim();
-    
-    textContent = textContent.replace(/&nbsp;/g, ' ')
-                             .replace(/&amp;/g, '&')
-                             .replace(/&lt;/g, '<')
-                             .replace(/&gt;/g, '>')
-                             .replace(/&quot;/g, '"')
-                             .replace(/&#39;/g, "'")
-                             .replace(/&#\d+;/g, '');
-    
-    verseNumbers.forEach((verseNum, index) => {
-      textContent = textContent.replace(`{{VERSE_${index}}}`, verseNum + ' ');
-    });
-    
-    return textContent;
-  } catch (error) {
-    return '';
-  }
+function normalizeBibleVersion(version) {
+  const text = (version || '').toString().trim().toUpperCase();
+  return /^[A-Z][A-Z0-9-]{1,11}$/.test(text) ? text : '';
 }
 
 /**
- * Updates scripture slides with fetched content
+ * Reads a fetched or cached passage as a list of verses; passages cached as
+ * plain text become a single unnumbered verse
  */
-function updateScriptureSlides(slides, scriptureContent) {
-  try {
-    slides.forEach((slide) => {
-      const shapes = slide.getShapes();
-      shapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          
-          const text = textRange.asString();
-          if (text.includes(PLACEHOLDERS.PASSAGE)) {
-            textRange.replaceAllText(PLACEHOLDERS.PASSAGE, scriptureContent.passage);
-            adjustFontSizeToFitShape(shape, scriptureContent.passage);
-          }
-          if (text.includes(PLACEHOLDERS.VERSE)) {
-            textRange.replaceAllText(PLACEHOLDERS.VERSE, scriptureContent.verse);
-          }
-        } catch (error) {
-          // Skip
-        }
-      });
-    });
-  } catch (error) {
-    Logger.log('Error updating scripture slides: ' + error.toString());
+function normalizeScriptureVerses(passage) {
+  if (Array.isArray(passage)) {
+    return passage.filter(verse => verse && verse.text && verse.text.trim() !== '');
   }
-}
-
-/**
- * Updates sermon title slides
- */
-function updateSermonSlides(slides, sermonTitle) {
-  try {
-    slides.forEach((slide) => {
-      const shapes = slide.getShapes();
-      shapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          
-          const text = textRange.asString();
-          if (text.includes(PLACEHOLDERS.SERMON)) {
-            textRange.replaceAllText(PLACEHOLDERS.SERMON, sermonTitle || '');
-          }
-        } catch (error) {
-          // Skip
-        }
-      });
-    });
-  } catch (error) {
-    Logger.log('Error updating sermon slides: ' + error.toString());
+  if (typeof passage === 'string' && passage.trim() !== '') {
+    return [{ number: '', text: passage.trim() }];
   }
+  return [];
 }
 
 /**
- * Extracts hymn title from HTML content
+ * Joins verses into slide text with each verse number before its verse
  */
-function extractHymnTitle(html) {
-  try {
-    const titleMatch = html.match(/<h1[^>]*class\s*=\s*["']?title\s+single-title\s+entry-title["']?[^>]*>(.*?)<\/h1>/);
-    return titleMatch ? decodeHtmlEntities(titleMatch[1].trim()) : "Untitled Hymn";
-  } catch (error) {
-    return "Untitled Hymn";
-  }
+function formatScriptureVerses(verses) {
+  return verses.map(verse => verse.number ? verse.number + ' ' + verse.text : verse.text).join(' ');
 }
 
 /**
@@ -864,312 +919,17 @@ function extractHymnTitle(html) {
  */
 function decodeHtmlEntities(text) {
   try {
-    text = text.replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
-               .replace(/&#x([a-fA-F0-9]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    text = text.replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+               .replace(/&#x([a-fA-F0-9]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)));
 
-    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    const entities = {
+      amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+      lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+      ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', copy: '\u00A9', reg: '\u00AE', trade: '\u2122'
+    };
     return text.replace(/&([a-zA-Z]+);/g, (match, entity) => entities[entity] || match);
   } catch (error) {
     return text;
   }
 }
 
-/**
- * Extracts hymn verses from HTML content
- */
-function extractHymnVerses(html) {
-  try {
-    const tableMatches = html.match(/<table[^>]*>([\s\S]*?)<\/table>/g);
-    if (!tableMatches) return { verses: [], refrain: "" };
-
-    const contentBoxHtml = tableMatches[0];
-    const verses = [];
-    let refrain = "";
-
-    const pTags = contentBoxHtml.match(/<p>([\s\S]*?)<\/p>/g) || [];
-    
-    pTags.forEach(pTag => {
-      let verseHtml = pTag.replace(/<a[^>]*>.*?<\/a>/g, '')
-                         .replace(/<br\s*\/?>/gi, '||LINEBREAK||')
-                         .replace(/<\/?[^>]+(>|$)/g, "")
-                         .trim();
-      
-      const decodedVerse = decodeHtmlEntities(verseHtml);
-      
-      if (decodedVerse && decodedVerse.trim()) {
-        const cleanedVerse = decodedVerse.replace(/\|\|LINEBREAK\|\|/g, '\n')
-                                        .replace(/\n\s*\n/g, '\n')
-                                        .replace(/^\s+|\s+$/g, '')
-                                        .replace(/[ \t]+/g, ' ');
-        
-        if (cleanedVerse.toLowerCase().includes("refrain")) {
-          refrain = cleanedVerse;
-        } else if (cleanedVerse.length > 0) {
-          verses.push(cleanedVerse);
-        }
-      }
-    });
-
-    return { verses, refrain };
-  } catch (error) {
-    return { verses: [], refrain: "" };
-  }
-}
-
-/**
- * Searches Gmail for praise/worship lyrics
- */
-function searchGmailForPraiseLyrics() {
-  try {
-    const tenDaysAgo = new Date();
-    tenDaysAgo.setDate(tenDaysAgo.getDate() - 5);
-    const dateString = Utilities.formatDate(tenDaysAgo, Session.getScriptTimeZone(), 'yyyy/MM/dd');
-    
-    const searchQuery = `after:${dateString} (subject:(praise lyrics) OR subject:(worship lyrics))`;
-    const threads = GmailApp.search(searchQuery, 0, 5);
-    
-    if (threads.length === 0) {
-      return null;
-    }
-    
-    const mostRecentThread = threads[0];
-    const message = mostRecentThread.getMessages()[0];
-    
-    let emailBody = message.getBody();
-    
-    if (!emailBody || emailBody.trim() === '') {
-      emailBody = message.getPlainBody();
-      
-      const lines = emailBody.split('\n').map(line => line.trim()).filter(line => line !== '');
-      
-      if (lines.length < 2) return null;
-      
-      const songTitle = lines[0];
-      const lyrics = [];
-      let currentParagraph = [];
-      
-      for (let i = 1; i < lines.length; i++) {
-        if (lines[i] === '') {
-          if (currentParagraph.length > 0) {
-            lyrics.push(currentParagraph.join('\n'));
-            currentParagraph = [];
-          }
-        } else {
-          currentParagraph.push(lines[i]);
-        }
-      }
-      
-      if (currentParagraph.length > 0) {
-        lyrics.push(currentParagraph.join('\n'));
-      }
-      
-      return { title: songTitle, lyrics: lyrics, subject: message.getSubject(), date: message.getDate() };
-    }
-    
-    const divPattern = /<div[^>]*>(.*?)<\/div>/gi;
-    const divContents = [];
-    let match;
-    
-    while ((match = divPattern.exec(emailBody)) !== null) {
-      let content = match[1];
-      
-      if (content.match(/^\s*<br\s*\/?>\s*$/)) {
-        divContents.push('||BREAK||');
-      } else {
-        content = content.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, '').trim();
-        
-        if (content !== '') {
-          content = content.replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<')
-                          .replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
-                          .replace(/&#\d+;/g, '').replace(/=E2=80=99/g, "'")
-                          .replace(/=\r?\n/g, '').replace(/=[0-9A-F]{2}/gi, '');
-          divContents.push(content);
-        }
-      }
-    }
-    
-    const sections = [];
-    let currentSection = [];
-    
-    for (let item of divContents) {
-      if (item === '||BREAK||') {
-        if (currentSection.length > 0) {
-          sections.push(currentSection.join('\n'));
-          currentSection = [];
-        }
-      } else {
-        currentSection.push(item);
-      }
-    }
-    
-    if (currentSection.length > 0) {
-      sections.push(currentSection.join('\n'));
-    }
-    
-    if (sections.length >= 2) {
-      return { title: sections[0], lyrics: sections.slice(1), subject: message.getSubject(), date: message.getDate() };
-    }
-    
-    if (divContents.length > 0) {
-      const contentOnly = divContents.filter(item => item !== '||BREAK||');
-      if (contentOnly.length < 2) return null;
-      
-      const songTitle = contentOnly[0];
-      const remainingLines = contentOnly.slice(1);
-      const lyrics = [];
-      
-      if (remainingLines.length >= 14) {
-        lyrics.push(remainingLines.slice(0, 2).join('\n'));
-        lyrics.push(remainingLines.slice(2, 6).join('\n'));
-        lyrics.push(remainingLines.slice(6, 10).join('\n'));
-        lyrics.push(remainingLines.slice(10, 14).join('\n'));
-      } else {
-        let currentVerse = [];
-        for (let i = 0; i < remainingLines.length; i++) {
-          const line = remainingLines[i];
-          currentVerse.push(line);
-          if (line.match(/(silver|gold|will|within|sin)$/i) || (currentVerse.length === 4) || (currentVerse.length === 2 && i < 4)) {
-            lyrics.push(currentVerse.join('\n'));
-            currentVerse = [];
-          }
-        }
-        if (currentVerse.length > 0) {
-          lyrics.push(currentVerse.join('\n'));
-        }
-      }
-      
-      return { title: songTitle, lyrics: lyrics, subject: message.getSubject(), date: message.getDate() };
-    }
-    
-    return null;
-  } catch (error) {
-    Logger.log('Error searching Gmail: ' + error.toString());
-    return null;
-  }
-}
-
-/**
- * Updates praise song slides in presentation
- */
-function updatePraiseSongSlides(presentation, praiseData) {
-  if (!praiseData) return;
-  
-  try {
-    const slides = presentation.getSlides();
-    
-    slides.forEach((slide) => {
-      const shapes = slide.getShapes();
-      shapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          const text = textRange.asString();
-          if (text.includes(PLACEHOLDERS.PRAISE_SONG)) {
-            textRange.replaceAllText(PLACEHOLDERS.PRAISE_SONG, praiseData.title);
-          }
-        } catch (error) {
-          // Skip
-        }
-      });
-    });
-    
-    let templateSlide = null;
-    
-    for (let i = 0; i < slides.length; i++) {
-      const slide = slides[i];
-      const shapes = slide.getShapes();
-      for (let shape of shapes) {
-        try {
-          const text = shape.getText().asString();
-          if (text.includes(PLACEHOLDERS.PRAISE_LYRICS)) {
-            templateSlide = slide;
-            break;
-          }
-        } catch (error) {
-          // Skip
-        }
-      }
-      if (templateSlide) break;
-    }
-    
-    if (!templateSlide) {
-      for (let i = 0; i < slides.length; i++) {
-        const slide = slides[i];
-        const shapes = slide.getShapes();
-        for (let shape of shapes) {
-          try {
-            const text = shape.getText().asString();
-            if (text.includes(praiseData.title)) {
-              templateSlide = slide;
-              const firstVerse = praiseData.lyrics[0];
-              if (firstVerse) {
-                shape.getText().setText(firstVerse);
-                adjustFontSizeToFitShape(shape, firstVerse);
-                for (let j = 1; j < praiseData.lyrics.length; j++) {
-                  const newSlide = slide.duplicate();
-                  const newShapes = newSlide.getShapes();
-                  for (let newShape of newShapes) {
-                    try {
-                      const textRange = newShape.getText();
-                      if (textRange && textRange.asString().includes(firstVerse)) {
-                        textRange.setText(praiseData.lyrics[j]);
-                        adjustFontSizeToFitShape(newShape, praiseData.lyrics[j]);
-                        break;
-                      }
-                    } catch (error) {
-                      // Continue
-                    }
-                  }
-                }
-                return;
-              }
-              break;
-            }
-          } catch (error) {
-            // Skip
-          }
-        }
-        if (templateSlide) break;
-      }
-      if (!templateSlide) return;
-    }
-    
-    const validParagraphs = praiseData.lyrics.filter(para => para && para.trim() !== '');
-    if (validParagraphs.length === 0) return;
-    
-    const shapes = templateSlide.getShapes();
-    shapes.forEach(shape => {
-      try {
-        const textRange = shape.getText();
-        if (!textRange) return;
-        const text = textRange.asString();
-        if (text.includes(PLACEHOLDERS.PRAISE_LYRICS)) {
-          textRange.replaceAllText(PLACEHOLDERS.PRAISE_LYRICS, validParagraphs[0].trim());
-          adjustFontSizeToFitShape(shape, validParagraphs[0].trim());
-        }
-      } catch (error) {
-        // Skip
-      }
-    });
-    
-    for (let i = 1; i < validParagraphs.length; i++) {
-      const newSlide = templateSlide.duplicate();
-      const newShapes = newSlide.getShapes();
-      newShapes.forEach(shape => {
-        try {
-          const textRange = shape.getText();
-          if (!textRange) return;
-          const text = textRange.asString();
-          if (text.includes(validParagraphs[0].trim())) {
-            textRange.setText(validParagraphs[i].trim());
-            adjustFontSizeToFitShape(shape, validParagraphs[i].trim());
-          }
-        } catch (error) {
-          // Skip
-        }
-      });
-    }
-  } catch (error) {
-    Logger.log('Error in updatePraiseSongSlides: ' + error.toString());
-  }
-}
@@ -0,0 +1,92 @@
+/**
+ * Build notifications
+ * Sends the media team a summary of each build: the deck link, the hymns and
+ * scripture it used, and anything missing. Recipients come from
+ * CONFIG.NOTIFY_RECIPIENTS (email) and CONFIG.NOTIFY_WEBHOOK_URL (chat webhook).
+ */
+
+/**
+ * Sends the summary of a finished run report to every configured channel
+ * A failed send is logged and never fails the build
+ */
+function notifyMediaTeam(report) {
+  const recipients = CONFIG.NOTIFY_RECIPIENTS || [];
+  const webhookUrl = CONFIG.NOTIFY_WEBHOOK_URL;
+  if (recipients.length === 0 && !webhookUrl) {
+    Logger.log('No notification recipients configured');
+    return false;
+  }
+
+  const notification = buildNotification(report);
+  let sent = false;
+
+  if (recipients.length > 0) {
+    try {
+      MailApp.sendEmail({
+        to: recipients.join(','),
+        subject: notification.subject,
+        body: notification.text
+      });
+      sent = true;
+    } catch (error) {
+      Logger.log('Error sending notification email: ' + error.toString());
+    }
+  }
+
+  if (webhookUrl) {
+    try {
+      const response = UrlFetchApp.fetch(webhookUrl, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(notification),
+        muteHttpExceptions: true
+      });
+      const code = response.getResponseCode();
+      if (code >= 200 && code < 300) {
+        sent = true;
+      } else {
+        Logger.log('Notification webhook returned ' + code);
+      }
+    } catch (error) {
+      Logger.log('Error posting notification webhook: ' + error.toString());
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Builds the notification for a run report: a subject, a plain-text body, and
+ * the same details as fields for webhooks that want structured data
+ */
+function buildNotification(report) {
+  const statusText = { ok: 'ready', warnings: 'ready with warnings', failed: 'FAILED' }[report.status] || report.status;
+  const subject = 'Hymn slides for ' + (report.deckName || report.serviceDate || 'this week') + ': ' + statusText;
+  const missing = report.errors.concat(report.warnings).map(item => '[' + item.stage + '] ' + item.message);
+
+  const lines = [subject, ''];
+  lines.push('Presentation: ' + (report.presentationUrl || 'not created'));
+
+  lines.push('Hymns:' + (report.hymns.length === 0 ? ' none' : ''));
+  report.hymns.forEach(hymn => {
+    lines.push('  ' + hymn.label + ': ' + hymn.number + ' ' + hymn.title);
+  });
+
+  lines.push('Scripture: ' + (report.scripture.length === 0 ? 'none' : report.scripture.join(', ')));
+
+  lines.push('Missing:' + (missing.length === 0 ? ' nothing' : ''));
+  missing.forEach(item => {
+    lines.push('  ' + item);
+  });
+
+  return {
+    subject: subject,
+    text: lines.join('\n'),
+    status: report.status,
+    serviceDate: report.serviceDate,
+    presentationUrl: report.presentationUrl,
+    hymns: report.hymns,
+    scripture: report.scripture,
+    missing: missing
+  };
+}
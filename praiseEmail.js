@@ -0,0 +1,282 @@
+/**
+ * Praise lyrics email
+ * Reads the song titles and stanzas from a praise lyrics email, HTML or plain
+ * text, or from its .txt and .docx attachments and linked Google Docs. Blank
+ * lines, <br>, <p> and <div> structure are kept as typed, and the worship
+ * leader can mark the songs up explicitly:
+ *   Title: Come, Thou Fount    - the song title (else the first line is); each
+ *                                Title: line starts another song, and a note
+ *                                before the first one is left out
+ *   [Verse 1], [Chorus]        - starts a stanza; a label with no lines under
+ *                                it repeats the earlier stanza of that label
+ *   ---                        - ends a stanza, like a blank line
+ * Quoted replies and anything after a "--" signature line are left out, and
+ * so is a sign-off such as "Thanks," when only a short name block follows it.
+ */
+
+const PRAISE_MARKERS = {
+  TITLE: /^title\s*:\s*(.+)$/i,
+  LABEL: /^\[([^\]]+)\]:?$/,
+  BREAK: /^(?:-{3,}|_{3,}|\*{3,})$/,
+  SIGNATURE: /^--$/,
+  SIGN_OFF: /^(?:thanks|thank you|blessings|regards|best|cheers|sincerely|in christ|god bless)[^,]{0,20},$/i,
+  SIGN_OFF_LINE: /^.{1,50}$/,
+  REPLY: /^On .+ wrote:$/
+};
+
+// Most short lines (name, phone, role) a sign-off's closing block can hold
+const SIGN_OFF_MAX_LINES = 4;
+
+// Word documents, read by converting them to Google Docs
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const GOOGLE_DOCS_MIME = 'application/vnd.google-apps.document';
+const GOOGLE_DOC_LINK_PATTERN = /https:\/\/docs\.google\.com\/document\/(?:u\/\d+\/)?d\/([A-Za-z0-9_-]+)/g;
+
+/**
+ * Reads { songs } from a Gmail message, or null when it has no lyrics
+ * Lyrics in .txt or .docx attachments or linked Google Docs are used when
+ * there are any, and the body (usually a cover note then) is read otherwise
+ */
+function parsePraiseEmail(message, report) {
+  const html = message.getBody();
+  const isHtml = html && html.trim() !== '';
+  // Links in a quoted reply or a signature are not this week's lyrics
+  const linkLines = isHtml ? praiseHtmlLines(html, true) : praiseTextLines(message.getPlainBody() || '');
+  const attached = readPraiseAttachments(message, report)
+    .concat(readLinkedPraiseDocs(praiseMessageLines(linkLines).join('\n'), report));
+  const songs = attached.reduce((list, text) => {
+    const praise = parsePraiseLines(praiseTextLines(text));
+    return praise ? list.concat(praise.songs) : list;
+  }, []);
+  if (songs.length > 0) {
+    return { songs: songs };
+  }
+
+  const lines = isHtml
+    ? praiseHtmlLines(html)
+    : praiseTextLines(message.getPlainBody() || '');
+  return parsePraiseLines(lines);
+}
+
+/**
+ * Reads the text of each plain text or Word attachment
+ */
+function readPraiseAttachments(message, report) {
+  return message.getAttachments().map(attachment => {
+    const name = attachment.getName() || '';
+    const type = attachment.getContentType();
+    if (type === 'text/plain' || /\.txt$/i.test(name)) {
+      return attachment.getDataAsString();
+    }
+    if (type === DOCX_MIME || /\.docx$/i.test(name)) {
+      return readDocxText(attachment, report);
+    }
+    return '';
+  }).filter(text => text.trim() !== '');
+}
+
+/**
+ * Reads a Word attachment by uploading it as a temporary Google Doc, which
+ * needs the Drive advanced service
+ */
+function readDocxText(blob, report) {
+  if (typeof Drive === 'undefined') {
+    reportWarning(report, REPORT_STAGES.GMAIL, 'Could not read ' + blob.getName() +
+      ': turn on the Drive advanced service to read .docx attachments');
+    return '';
+  }
+
+  try {
+    const file = Drive.Files.create({ name: blob.getName(), mimeType: GOOGLE_DOCS_MIME }, blob);
+    try {
+      return DocumentApp.openById(file.id).getBody().getText();
+    } finally {
+      Drive.Files.remove(file.id);
+    }
+  } catch (error) {
+    reportWarning(report, REPORT_STAGES.GMAIL, 'Could not read ' + blob.getName() + ': ' + error.message);
+    return '';
+  }
+}
+
+/**
+ * Reads the text of each Google Doc linked in the body
+ */
+function readLinkedPraiseDocs(body, report) {
+  const ids = [];
+  let match;
+  GOOGLE_DOC_LINK_PATTERN.lastIndex = 0;
+  while ((match = GOOGLE_DOC_LINK_PATTERN.exec(body)) !== null) {
+    if (ids.indexOf(match[1]) === -1) ids.push(match[1]);
+  }
+
+  return ids.map(id => {
+    try {
+      return DocumentApp.openById(id).getBody().getText();
+    } catch (error) {
+      reportWarning(report, REPORT_STAGES.GMAIL, 'Could not open the linked lyrics document ' + id + ': ' + error.message);
+      return '';
+    }
+  }).filter(text => text.trim() !== '');
+}
+
+/**
+ * Splits an HTML body into lines, with '' for each blank line or paragraph end
+ * With withLinks, each link's address is kept in the text before its label
+ */
+function praiseHtmlLines(html, withLinks) {
+  let text = decodeQuotedPrintable(html)
+    .replace(/<div[^>]*class\s*=\s*["']?gmail_(?:quote|signature)[\s\S]*$/i, '')
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '');
+  if (withLinks) {
+    text = text.replace(/<a\b[^>]*?\bhref\s*=\s*["']([^"']*)["'][^>]*>/gi, ' $1 ');
+  }
+  text = text
+    .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Line breaks in the source are only spacing; structure comes from the tags
+    .replace(/\s*\r?\n\s*/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p\s*>/gi, '\u0001\u0002\u0001')
+    .replace(/<\/?(?:p|div|li|ul|ol|h[1-6]|tr|table)\b[^>]*>/gi, '\u0001')
+    .replace(/<[^>]*>/g, '');
+
+  const lines = [];
+  text.split('\u0001').forEach(block => {
+    if (block === '\u0002') {
+      lines.push('');
+    } else if (block.trim() === '') {
+      // An empty block is a blank line only when it held a break or a space, like <div><br></div>
+      if (/\n|&nbsp;|&#160;|\u00a0/.test(block)) lines.push('');
+    } else {
+      block.replace(/\n$/, '').split('\n').forEach(line => lines.push(decodeHtmlEntities(line)));
+    }
+  });
+  return lines;
+}
+
+/**
+ * Splits a plain text body into lines
+ */
+function praiseTextLines(text) {
+  return decodeQuotedPrintable(text).split(/\r?\n/);
+}
+
+/**
+ * Groups lines into songs with a title and stanzas, following the markers above
+ * Returns { songs }, each song { title, lyrics }, or null when there are no lyrics
+ */
+function parsePraiseLines(lines) {
+  const songs = [];
+  let song = { title: '', stanzas: [] };
+  let current = null;
+
+  const finishStanza = () => {
+    if (!current) return;
+    if (current.lines.length > 0) {
+      song.stanzas.push({ label: current.label, text: current.lines.join('\n') });
+    } else if (current.label) {
+      const earlier = song.stanzas.find(stanza => stanza.label === current.label);
+      if (earlier) song.stanzas.push(earlier);
+    }
+    current = null;
+  };
+
+  // With Title: lines, anything before the first one is a cover note
+  let message = praiseMessageLines(lines);
+  const firstTitle = message.findIndex(line => PRAISE_MARKERS.TITLE.test(line));
+  if (firstTitle > 0) message = message.slice(firstTitle);
+
+  for (const line of message) {
+    const titleMatch = line.match(PRAISE_MARKERS.TITLE);
+    const labelMatch = line.match(PRAISE_MARKERS.LABEL);
+    if (titleMatch) {
+      finishStanza();
+      if (song.title || song.stanzas.length > 0) songs.push(song);
+      song = { title: titleMatch[1], stanzas: [] };
+    } else if (labelMatch) {
+      finishStanza();
+      current = { label: labelMatch[1].trim().toLowerCase(), lines: [] };
+    } else if (line === '' || PRAISE_MARKERS.BREAK.test(line)) {
+      if (current && current.lines.length > 0) finishStanza();
+    } else {
+      current = current || { label: '', lines: [] };
+      current.lines.push(line);
+    }
+  }
+  finishStanza();
+  songs.push(song);
+
+  // Without a Title: line, the first line of an unlabeled first stanza is the title
+  const first = songs[0];
+  if (!first.title && first.stanzas.length > 0 && !first.stanzas[0].label) {
+    const firstLines = first.stanzas[0].text.split('\n');
+    first.title = firstLines[0];
+    if (firstLines.length > 1) {
+      first.stanzas[0] = { label: '', text: firstLines.slice(1).join('\n') };
+    } else {
+      first.stanzas.shift();
+    }
+  }
+
+  const withLyrics = songs.filter(item => item.stanzas.length > 0);
+  if (withLyrics.length === 0) {
+    return null;
+  }
+  return { songs: withLyrics.map(item => ({ title: item.title, lyrics: item.stanzas.map(stanza => stanza.text) })) };
+}
+
+/**
+ * Trims the lines of a body to the message itself, leaving out quoted lines
+ * and everything from a signature, sign-off or quoted reply on
+ */
+function praiseMessageLines(lines) {
+  const cleaned = lines.map(rawLine => rawLine.replace(/\s+/g, ' ').trim());
+  const message = [];
+  for (let index = 0; index < cleaned.length; index++) {
+    const line = cleaned[index];
+    if (PRAISE_MARKERS.SIGNATURE.test(line) || PRAISE_MARKERS.REPLY.test(line) || isPraiseSignOff(cleaned, index)) break;
+    if (!line.startsWith('>')) message.push(line);
+  }
+  return message;
+}
+
+/**
+ * Tells whether a line is a sign-off such as "Thanks," that ends the message,
+ * so lyrics like "Thank you Jesus," are kept: all that may follow it before
+ * the end, a signature or a quoted reply is one block of a few short lines,
+ * such as a name and phone number
+ */
+function isPraiseSignOff(lines, index) {
+  if (!PRAISE_MARKERS.SIGN_OFF.test(lines[index])) return false;
+
+  const rest = [];
+  for (let i = index + 1; i < lines.length; i++) {
+    if (PRAISE_MARKERS.SIGNATURE.test(lines[i]) || PRAISE_MARKERS.REPLY.test(lines[i])) break;
+    if (!lines[i].startsWith('>')) rest.push(lines[i]);
+  }
+  const closing = rest.join('\n').trim();
+  if (closing === '') return true;
+
+  // A blank line in the block fails SIGN_OFF_LINE, so more lyrics after one are kept
+  const block = closing.split('\n');
+  return block.length <= SIGN_OFF_MAX_LINES && block.every(line => PRAISE_MARKERS.SIGN_OFF_LINE.test(line));
+}
+
+/**
+ * Decodes quoted-printable text (soft line breaks and =XX bytes as UTF-8),
+ * leaving text that isn't quoted-printable as it is
+ */
+function decodeQuotedPrintable(text) {
+  if (!/[^=]=\r?\n|=3D|=[C-F][0-9A-F]=[89AB][0-9A-F]/i.test(text)) {
+    return text;
+  }
+
+  return text.replace(/=\r?\n/g, '').replace(/(?:=[0-9A-F]{2})+/gi, bytes => {
+    try {
+      return decodeURIComponent(bytes.replace(/=/g, '%'));
+    } catch (error) {
+      // Not UTF-8, so read each byte as Latin-1
+      return bytes.split('=').slice(1).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+    }
+  });
+}
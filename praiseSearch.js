@@ -0,0 +1,199 @@
+/**
+ * Praise lyrics search
+ * Finds the praise lyrics emails for one service date: messages with one of
+ * CONFIG.PRAISE_SUBJECTS sent in the CONFIG.PRAISE_WINDOW_DAYS days up to and
+ * including the service date, from a sender in CONFIG.PRAISE_SENDERS or in a
+ * thread with a label in CONFIG.PRAISE_LABELS (anyone when both are empty).
+ * Messages a built deck used are recorded in Script Properties with their
+ * service date, so other weeks don't use them again.
+ */
+
+const PRAISE_USED_PROPERTY = 'PRAISE_MESSAGES_USED';
+
+// Days a used message is remembered for, counted back from the latest build
+const PRAISE_USED_RETENTION_DAYS = 90;
+
+/**
+ * Searches Gmail for the praise lyrics of a service date
+ * When lyrics came from more than one sender, only one sender is used: the one
+ * who started a lyrics thread, so a reply-all doesn't replace the lyrics, or
+ * the one who sent last when that leaves several. A song sent more than once
+ * is taken from its latest copy. Both are reported as warnings
+ * Returns { songs, serviceDate }, each song { title, lyrics, subject, date, messageId },
+ * or null
+ */
+function searchGmailForPraiseLyrics(report, serviceDate) {
+  try {
+    const searchWindow = praiseSearchWindow(serviceDate || getUpcomingServiceDate(getService()));
+    const threads = GmailApp.search(buildPraiseQuery(searchWindow), 0, 20);
+    const used = readUsedPraiseMessages();
+    const dateKey = praiseDateKey(searchWindow.serviceDate);
+
+    const messages = [];
+    const starters = [];
+    threads.forEach(thread => {
+      const labels = thread.getLabels().map(label => label.getName().toLowerCase());
+      const threadMessages = thread.getMessages();
+      if (threadMessages.length > 0) starters.push(praiseSenderAddress(threadMessages[0]));
+      threadMessages.forEach(message => {
+        const sentAt = message.getDate();
+        if (sentAt < searchWindow.start || sentAt >= searchWindow.end) return;
+        if (!isAllowedPraiseSender(message, labels)) return;
+        if (used[message.getId()] && used[message.getId()] !== dateKey) return;
+        messages.push(message);
+      });
+    });
+
+    if (messages.length === 0) {
+      reportWarning(report, REPORT_STAGES.GMAIL, 'No praise lyrics email found');
+      return null;
+    }
+
+    messages.sort((a, b) => a.getDate() - b.getDate());
+    let candidates = messages
+      .map(message => ({ message: message, praise: parsePraiseEmail(message, report) }))
+      .filter(candidate => candidate.praise);
+
+    if (candidates.length === 0) {
+      reportWarning(report, REPORT_STAGES.GMAIL, 'Praise lyrics email "' + messages[0].getSubject() + '" has no lyrics');
+      return null;
+    }
+
+    const senders = candidates.map(candidate => praiseSenderAddress(candidate.message))
+      .filter((sender, index, all) => all.indexOf(sender) === index);
+    if (senders.length > 1) {
+      const startedThread = senders.filter(sender => starters.indexOf(sender) !== -1);
+      const pool = startedThread.length > 0
+        ? candidates.filter(candidate => startedThread.indexOf(praiseSenderAddress(candidate.message)) !== -1)
+        : candidates;
+      const chosen = praiseSenderAddress(pool[pool.length - 1].message);
+      reportWarning(report, REPORT_STAGES.GMAIL, 'Praise lyrics came from ' + senders.join(', ') +
+        '; using the lyrics from ' + chosen + (startedThread.length === 1 ? ', who started the thread' : ', who sent last'));
+      candidates = candidates.filter(candidate => praiseSenderAddress(candidate.message) === chosen);
+    }
+
+    return { songs: collectPraiseSongs(candidates, report), serviceDate: searchWindow.serviceDate };
+  } catch (error) {
+    reportError(report, REPORT_STAGES.GMAIL, 'Error searching Gmail: ' + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Puts the songs of each message in order; a song sent again replaces the
+ * earlier copy in its place
+ */
+function collectPraiseSongs(candidates, report) {
+  const songs = [];
+  candidates.forEach(candidate => {
+    const message = candidate.message;
+    candidate.praise.songs.forEach(song => {
+      const entry = Object.assign(song, { subject: message.getSubject(), date: message.getDate(), messageId: message.getId() });
+      const earlier = songs.findIndex(other => song.title !== '' && other.title.toLowerCase() === song.title.toLowerCase());
+      if (earlier === -1) {
+        songs.push(entry);
+        return;
+      }
+      reportWarning(report, REPORT_STAGES.GMAIL, 'The praise song "' + song.title + '" was sent more than once; using the copy sent ' +
+        Utilities.formatDate(message.getDate(), Session.getScriptTimeZone(), 'MM/dd/yyyy HH:mm'));
+      songs[earlier] = entry;
+    });
+  });
+  return songs;
+}
+
+/**
+ * The search window of a service date: from midnight CONFIG.PRAISE_WINDOW_DAYS - 1
+ * days before it until the end of the service day
+ */
+function praiseSearchWindow(serviceDate) {
+  const day = new Date(serviceDate.getFullYear(), serviceDate.getMonth(), serviceDate.getDate());
+  const start = new Date(day);
+  start.setDate(start.getDate() - (CONFIG.PRAISE_WINDOW_DAYS - 1));
+  const end = new Date(day);
+  end.setDate(end.getDate() + 1);
+  return { serviceDate: day, start: start, end: end };
+}
+
+/**
+ * Builds the Gmail query for a window, with the subjects and the allow-list
+ */
+function buildPraiseQuery(searchWindow) {
+  const seconds = date => Math.floor(date.getTime() / 1000);
+  const subjects = CONFIG.PRAISE_SUBJECTS.map(subject => `subject:(${subject})`).join(' OR ');
+  const allowed = (CONFIG.PRAISE_SENDERS || []).map(sender => 'from:' + sender)
+    .concat((CONFIG.PRAISE_LABELS || []).map(label => 'label:' + label.trim().replace(/[\s\/]+/g, '-')));
+
+  let query = `after:${seconds(searchWindow.start)} before:${seconds(searchWindow.end)} (${subjects})`;
+  if (allowed.length > 0) {
+    query += ' (' + allowed.join(' OR ') + ')';
+  }
+  return query;
+}
+
+/**
+ * Checks a message against CONFIG.PRAISE_SENDERS and CONFIG.PRAISE_LABELS;
+ * threadLabels are the lowercase label names of its thread
+ */
+function isAllowedPraiseSender(message, threadLabels) {
+  const senders = (CONFIG.PRAISE_SENDERS || []).map(sender => sender.trim().toLowerCase());
+  const labels = (CONFIG.PRAISE_LABELS || []).map(label => label.trim().toLowerCase());
+  if (senders.length === 0 && labels.length === 0) {
+    return true;
+  }
+  return senders.indexOf(praiseSenderAddress(message)) !== -1 ||
+    labels.some(label => threadLabels.indexOf(label) !== -1);
+}
+
+/**
+ * The lowercase email address of a message's sender
+ */
+function praiseSenderAddress(message) {
+  const from = message.getFrom() || '';
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim().toLowerCase();
+}
+
+/**
+ * Records the messages whose songs a deck used, with their service date
+ */
+function markPraiseMessagesUsed(praiseData) {
+  try {
+    const serviceDate = praiseData.serviceDate;
+    const used = readUsedPraiseMessages();
+    const dateKey = praiseDateKey(serviceDate);
+    praiseData.songs.forEach(song => {
+      if (song.messageId) used[song.messageId] = dateKey;
+    });
+
+    const oldest = new Date(serviceDate);
+    oldest.setDate(oldest.getDate() - PRAISE_USED_RETENTION_DAYS);
+    Object.keys(used).forEach(messageId => {
+      if (used[messageId] < praiseDateKey(oldest)) delete used[messageId];
+    });
+
+    PropertiesService.getScriptProperties().setProperty(PRAISE_USED_PROPERTY, JSON.stringify(used));
+  } catch (error) {
+    Logger.log('Error recording used praise messages: ' + error.toString());
+  }
+}
+
+/**
+ * Reads the used messages as { messageId: 'yyyy-MM-dd' }
+ */
+function readUsedPraiseMessages() {
+  try {
+    const value = PropertiesService.getScriptProperties().getProperty(PRAISE_USED_PROPERTY);
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    Logger.log('Error reading used praise messages: ' + error.toString());
+    return {};
+  }
+}
+
+/**
+ * Formats a date as 'yyyy-MM-dd', which sorts by date
+ */
+function praiseDateKey(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
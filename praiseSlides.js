@@ -0,0 +1,65 @@
+/**
+ * Praise slides
+ * Each praise song gets its own copy of the {{praise_song}} title slide and
+ * of the {{praise_lyrics}} slide, one stanza per slide, placed in order where
+ * the template slides were. The template slides are removed afterwards.
+ */
+
+/**
+ * Replaces the praise template slides with a title slide and lyric slides per song
+ */
+function createPraiseSlides(presentation, praiseData, report) {
+  const songs = (praiseData.songs || []).filter(song => praiseStanzas(song).length > 0);
+  if (songs.length === 0) return;
+
+  try {
+    const slides = presentation.getSlides();
+    const findTemplate = placeholder => slides.find(slide =>
+      !slide.isSkipped() && findShapeWithText(slide, placeholder)) || null;
+    const titleSlide = findTemplate(PLACEHOLDERS.PRAISE_SONG);
+    const lyricsSlide = findTemplate(PLACEHOLDERS.PRAISE_LYRICS);
+    if (!lyricsSlide) {
+      reportWarning(report, REPORT_STAGES.TEMPLATE, 'Could not find a praise lyrics slide');
+      return;
+    }
+
+    // Songs go where the first template slide is, each copy moved into place
+    const firstSlide = titleSlide && slides.indexOf(titleSlide) < slides.indexOf(lyricsSlide) ? titleSlide : lyricsSlide;
+    let position = slides.indexOf(firstSlide);
+    songs.forEach(song => {
+      if (titleSlide) {
+        const songTitleSlide = titleSlide.duplicate();
+        songTitleSlide.move(position++);
+        songTitleSlide.replaceAllText(PLACEHOLDERS.PRAISE_SONG, song.title);
+      }
+      position += fillPraiseLyricsSlides(lyricsSlide, position, praiseStanzas(song));
+    });
+
+    if (titleSlide) titleSlide.remove();
+    lyricsSlide.remove();
+  } catch (error) {
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error creating praise slides: ' + error.toString());
+  }
+}
+
+/**
+ * Copies the lyrics template to position once per stanza and fits each stanza
+ * Returns the number of slides the stanzas fill
+ */
+function fillPraiseLyricsSlides(lyricsSlide, position, stanzas) {
+  let count = 0;
+  stanzas.forEach(stanza => {
+    const slide = lyricsSlide.duplicate();
+    slide.move(position + count);
+    const shape = findShapeWithText(slide, PLACEHOLDERS.PRAISE_LYRICS);
+    count += shape ? fitTextOnSlides(slide, shape, stanza) : 1;
+  });
+  return count;
+}
+
+/**
+ * The non-empty stanzas of a song
+ */
+function praiseStanzas(song) {
+  return (song.lyrics || []).map(stanza => (stanza || '').trim()).filter(stanza => stanza !== '');
+}
@@ -0,0 +1,260 @@
+/**
+ * Dry-run preview
+ * Runs the normal extraction and fetching, then fills an in-memory snapshot of
+ * the template instead of a Drive copy and reports what the deck would contain.
+ * The lyrics cache is only read, so a preview changes nothing in Drive.
+ */
+
+/**
+ * Builds the plan for the next date of a service (the first configured service
+ * by default) without copying the template
+ * Returns the plan, or { errors, warnings } saying why there is none
+ */
+function previewHymnsSlides(serviceId) {
+  const report = createRunReport('previewHymnsSlides');
+  try {
+    Logger.log('Starting previewHymnsSlides');
+    // Settings first, so a LYRICS_CACHE_FILE_ID in the Settings sheet is the cache read
+    const settings = validateSettings();
+    loadLyricsCache(true);
+
+    settings.warnings.forEach(message => reportWarning(report, REPORT_STAGES.SETTINGS, 'Settings warning: ' + message));
+    if (settings.errors.length > 0) {
+      settings.errors.forEach(message => reportError(report, REPORT_STAGES.SETTINGS, 'Settings error: ' + message));
+      return failPreview(report);
+    }
+
+    const service = getService(serviceId);
+    if (!service) {
+      reportError(report, REPORT_STAGES.SETTINGS, 'Unknown service: ' + serviceId);
+      return failPreview(report);
+    }
+
+    const serviceData = gatherServiceData(report, getUpcomingServiceDate(service), service);
+    if (!serviceData) {
+      return failPreview(report);
+    }
+
+    const preview = createPreviewPresentation(SlidesApp.openById(service.templateId), serviceData.presentationName);
+    if (!populatePresentation(preview, serviceData.hymnsData, serviceData.hymnDetails, serviceData.scriptureContent,
+                              serviceData.praiseData, serviceData.bulletinLeadersData, report, service)) {
+      return failPreview(report);
+    }
+
+    const plan = buildPreviewPlan(preview);
+    plan.warnings = report.warnings.map(item => item.message);
+    Logger.log(formatPreviewPlan(plan));
+    return plan;
+  } catch (error) {
+    reportError(report, REPORT_STAGES.RUN, 'Error in previewHymnsSlides: ' + error.toString());
+    return failPreview(report);
+  }
+}
+
+/**
+ * Logs and returns the errors and warnings of a preview that couldn't be built
+ */
+function failPreview(report) {
+  const result = {
+    errors: report.errors.map(item => item.message),
+    warnings: report.warnings.map(item => item.message)
+  };
+
+  const lines = ['Preview failed:'].concat(result.errors.map(message => '  ' + message));
+  if (result.warnings.length > 0) {
+    lines.push('Warnings:');
+    result.warnings.forEach(message => lines.push('  ' + message));
+  }
+  Logger.log(lines.join('\n'));
+  return result;
+}
+
+/**
+ * Copies the text of every template slide into an in-memory presentation that
+ * supports the same calls the update functions make on a real one
+ */
+function createPreviewPresentation(template, name) {
+  const preview = { slides: [] };
+
+  template.getSlides().forEach((slide, index) => {
+    const shapes = slide.getShapes().map(shape => {
+      let text = '';
+      let fontSize = null;
+      try {
+        const textRange = shape.getText();
+        text = textRange.asString().replace(/\n$/, '');
+        fontSize = textRange.getTextStyle().getFontSize();
+      } catch (error) {
+        // Shapes without text stay empty
+      }
+      return { text: text, templateText: text, fontSize: fontSize, width: shape.getWidth(), height: shape.getHeight() };
+    });
+    let notes = '';
+    try {
+      notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString().replace(/\n$/, '');
+    } catch (error) {
+      // Slides without speaker notes have no requirements
+    }
+    preview.slides.push(createPreviewSlide(preview, index + 1, shapes, notes));
+  });
+
+  return {
+    getName: () => name,
+    getSlides: () => preview.slides.slice(),
+    saveAndClose: () => {},
+    previewSlides: () => preview.slides.slice()
+  };
+}
+
+/**
+ * Creates one preview slide; templateSlide is the 1-based template slide it came from
+ */
+function createPreviewSlide(preview, templateSlide, shapeStates, notes) {
+  const shapes = shapeStates.map(createPreviewShape);
+  const notesShape = createPreviewShape({ text: notes || '' });
+
+  const slide = {
+    templateSlide: templateSlide,
+    shapeStates: shapeStates,
+    skipped: false,
+    getShapes: () => shapes.slice(),
+    getNotesPage: () => ({ getSpeakerNotesShape: () => notesShape }),
+    isSkipped: () => slide.skipped,
+    setSkipped: skipped => {
+      slide.skipped = Boolean(skipped);
+    },
+    replaceAllText: (find, replace) => shapes.reduce((count, shape) => count + shape.getText().replaceAllText(find, replace), 0),
+    duplicate: () => {
+      const copy = createPreviewSlide(preview, templateSlide, shapeStates.map(state => Object.assign({}, state)), notes);
+      copy.skipped = slide.skipped;
+      preview.slides.splice(preview.slides.indexOf(slide) + 1, 0, copy);
+      return copy;
+    },
+    move: index => {
+      const from = preview.slides.indexOf(slide);
+      preview.slides.splice(from, 1);
+      preview.slides.splice(from < index ? index - 1 : index, 0, slide);
+    },
+    remove: () => {
+      preview.slides.splice(preview.slides.indexOf(slide), 1);
+    }
+  };
+
+  return slide;
+}
+
+/**
+ * Creates one preview shape around its mutable state
+ */
+function createPreviewShape(state) {
+  const textRange = {
+    asString: () => state.text + '\n',
+    setText: text => {
+      state.text = String(text);
+      return textRange;
+    },
+    replaceAllText: (find, replace) => {
+      const count = find ? state.text.split(find).length - 1 : 0;
+      if (count > 0) {
+        state.text = state.text.split(find).join(String(replace));
+      }
+      return count;
+    },
+    getTextStyle: () => ({
+      setFontSize: size => {
+        state.fontSize = size;
+      },
+      getFontSize: () => state.fontSize
+    })
+  };
+
+  return {
+    getText: () => textRange,
+    getWidth: () => state.width,
+    getHeight: () => state.height
+  };
+}
+
+/**
+ * Describes the finished preview: every slide with its text and font size, the
+ * value each placeholder received, and the placeholders still left in the deck
+ */
+function buildPreviewPlan(preview) {
+  const plan = { presentationName: preview.getName(), slides: [], replacements: [], unfilled: [], warnings: [] };
+
+  preview.previewSlides().forEach((slide, index) => {
+    const slideNumber = index + 1;
+
+    plan.slides.push({
+      slide: slideNumber,
+      templateSlide: slide.templateSlide,
+      skipped: slide.skipped,
+      shapes: slide.shapeStates.map(state => ({ text: state.text, fontSize: state.fontSize }))
+    });
+
+    slide.shapeStates.forEach(state => {
+      const values = matchPlaceholderValues(state.templateText, state.text);
+      Object.keys(values).forEach(placeholder => {
+        plan.replacements.push({ slide: slideNumber, placeholder: placeholder, value: values[placeholder] });
+      });
+    });
+  });
+
+  plan.unfilled = findUnfilledPlaceholders(preview);
+  return plan;
+}
+
+/**
+ * Works out what each template placeholder became by matching the template
+ * text, with its placeholders as wildcards, against the final text
+ */
+function matchPlaceholderValues(templateText, finalText) {
+  const placeholders = templateText.match(/\{\{[^{}]+\}\}/g) || [];
+  const values = {};
+  if (placeholders.length === 0) return values;
+
+  const pattern = templateText.split(/\{\{[^{}]+\}\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('([\\s\\S]*?)');
+  const match = finalText.match(new RegExp('^' + pattern + '$'));
+
+  placeholders.forEach((placeholder, index) => {
+    const value = match ? match[index + 1] : finalText;
+    if (value !== placeholder) {
+      values[placeholder] = value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Formats a preview plan as a readable summary
+ */
+function formatPreviewPlan(plan) {
+  const lines = ['Preview of ' + plan.presentationName + ': ' + plan.slides.length + ' slides'];
+
+  plan.slides.forEach(slide => {
+    const texts = slide.shapes
+      .filter(shape => shape.text.trim() !== '')
+      .map(shape => shape.text.replace(/\n/g, ' / ') + (shape.fontSize ? ' (' + shape.fontSize + 'pt)' : ''));
+    lines.push('Slide ' + slide.slide + (slide.skipped ? ' (skipped)' : '') + ': ' + texts.join(' | '));
+  });
+
+  lines.push('Placeholders replaced:');
+  plan.replacements.forEach(item => {
+    lines.push('  Slide ' + item.slide + ' ' + item.placeholder + ' = ' + item.value.replace(/\n/g, ' / '));
+  });
+
+  lines.push('Placeholders left unfilled:' + (plan.unfilled.length === 0 ? ' none' : ''));
+  plan.unfilled.forEach(item => {
+    lines.push('  Slide ' + item.slide + ' ' + item.placeholder);
+  });
+
+  lines.push('Warnings:' + (plan.warnings.length === 0 ? ' none' : ''));
+  plan.warnings.forEach(message => {
+    lines.push('  ' + message);
+  });
+
+  return lines.join('\n');
+}
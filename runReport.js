@@ -0,0 +1,155 @@
+/**
+ * Run report
+ * Collects the warnings and errors of one build by stage, plus the placeholders
+ * still left in the finished deck, so problems surface before Sabbath morning.
+ */
+
+const REPORT_STAGES = {
+  SETTINGS: 'settings',
+  SHEET: 'sheet',
+  HYMNS: 'hymns',
+  SCRIPTURE: 'scripture',
+  GMAIL: 'gmail',
+  BULLETIN: 'bulletin',
+  TEMPLATE: 'template',
+  RUN: 'run'
+};
+
+/**
+ * Creates an empty report for one build
+ */
+function createRunReport(name) {
+  return {
+    name: name,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    service: null,
+    serviceDate: null,
+    deckName: null,
+    presentationId: null,
+    presentationUrl: null,
+    hymns: [],
+    scripture: [],
+    warnings: [],
+    errors: [],
+    unfilledPlaceholders: []
+  };
+}
+
+/**
+ * Logs a warning and records it in the report, when there is one
+ */
+function reportWarning(report, stage, message) {
+  Logger.log(message);
+  if (report) {
+    report.warnings.push({ stage: stage, message: message });
+  }
+}
+
+/**
+ * Logs an error and records it in the report, when there is one
+ */
+function reportError(report, stage, message) {
+  Logger.log(message);
+  if (report) {
+    report.errors.push({ stage: stage, message: message });
+  }
+}
+
+/**
+ * Warns, once per placeholder, that a placeholder was filled with an empty value
+ */
+function reportEmptyPlaceholder(report, stage, placeholder) {
+  const message = placeholder + ' was filled with an empty value';
+  if (report && report.warnings.some(item => item.message === message)) {
+    return;
+  }
+  reportWarning(report, stage, message);
+}
+
+/**
+ * Records every {{...}} placeholder still present in the presentation
+ */
+function reportUnfilledPlaceholders(report, presentation) {
+  const unfilled = findUnfilledPlaceholders(presentation);
+  unfilled.forEach(item => {
+    reportWarning(report, REPORT_STAGES.TEMPLATE, 'Unfilled placeholder ' + item.placeholder + ' on slide ' + item.slide);
+  });
+  if (report) {
+    report.unfilledPlaceholders = unfilled;
+  }
+  return unfilled;
+}
+
+/**
+ * Lists the placeholders left in a presentation with their 1-based slide numbers,
+ * ignoring skipped slides
+ */
+function findUnfilledPlaceholders(presentation) {
+  const unfilled = [];
+
+  presentation.getSlides().forEach((slide, index) => {
+    if (slide.isSkipped()) return;
+    slide.getShapes().forEach(shape => {
+      try {
+        const text = shape.getText().asString();
+        (text.match(/\{\{[^{}]+\}\}/g) || []).forEach(placeholder => {
+          unfilled.push({ slide: index + 1, placeholder: placeholder });
+        });
+      } catch (error) {
+        // Skip shapes that don't have text
+      }
+    });
+  });
+
+  return unfilled;
+}
+
+/**
+ * Marks the report finished and sets its overall status
+ */
+function finishRunReport(report) {
+  report.finishedAt = new Date().toISOString();
+  if (report.errors.length > 0) {
+    report.status = 'failed';
+  } else if (report.warnings.length > 0) {
+    report.status = 'warnings';
+  } else {
+    report.status = 'ok';
+  }
+  return report;
+}
+
+/**
+ * Serializes the report as JSON
+ */
+function runReportToJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Formats the report as a readable summary, grouped by stage
+ */
+function formatRunReport(report) {
+  const lines = [report.name + ': ' + report.status.toUpperCase()];
+
+  if (report.serviceDate) lines.push('Service date: ' + report.serviceDate);
+  if (report.presentationUrl) lines.push('Presentation: ' + report.presentationUrl);
+
+  [['Errors', report.errors], ['Warnings', report.warnings]].forEach(([heading, items]) => {
+    if (items.length === 0) return;
+    lines.push(heading + ':');
+    Object.values(REPORT_STAGES).forEach(stage => {
+      items.filter(item => item.stage === stage).forEach(item => {
+        lines.push('  [' + stage + '] ' + item.message);
+      });
+    });
+  });
+
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    lines.push('No problems found');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,245 @@
+/**
+ * Scripture source providers
+ * Each provider looks up a parsed reference (see scriptureReferences.js) in a
+ * version and returns { version, verses } with verses as { number, text }, or
+ * null when it does not have the passage. CONFIG.SCRIPTURE_PROVIDERS sets the
+ * order in which they are tried, so a local Bible after the scraper is used
+ * only when the scraper comes back empty.
+ */
+
+const SCRIPTURE_PROVIDERS = {
+  biblegateway: lookupBibleGateway,
+  localBible: lookupLocalBible
+};
+
+// Parsed local Bible, loaded once per execution
+let localBibleIndex = null;
+
+/**
+ * Looks up one reference, trying each configured provider in order
+ * Returns { version, verses }, with no verses when no provider has it
+ */
+function fetchScripture(reference, version) {
+  for (let providerName of CONFIG.SCRIPTURE_PROVIDERS) {
+    const lookup = SCRIPTURE_PROVIDERS[providerName];
+    if (!lookup) {
+      Logger.log('Unknown scripture provider: ' + providerName);
+      continue;
+    }
+
+    try {
+      const passage = lookup(reference, version);
+      if (passage && passage.verses.length > 0) {
+        return passage;
+      }
+    } catch (error) {
+      Logger.log('Scripture provider ' + providerName + ' failed for ' + reference.reference + ': ' + error.toString());
+    }
+  }
+
+  return { version: version, verses: [] };
+}
+
+/**
+ * Scrapes a passage from Bible Gateway, through the lyrics cache
+ */
+function lookupBibleGateway(reference, version) {
+  const fetched = getCachedOrFetch(
+    scriptureCacheKey(reference.reference, version),
+    () => fetchScripturePassage(reference.reference, version),
+    passage => normalizeScriptureVerses(passage).length > 0
+  );
+  return { version: version, verses: normalizeScriptureVerses(fetched) };
+}
+
+/**
+ * Fetches and extracts the verses of one scripture passage from Bible Gateway
+ */
+function fetchScripturePassage(verse, version) {
+  const url = `https://www.biblegateway.com/passage/?search=${encodeURIComponent(verse)}&version=${encodeURIComponent(version || CONFIG.BIBLE_VERSION)}`;
+  try {
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    Utilities.sleep(1000);
+    if (response.getResponseCode() === 200) {
+      return extractScriptureVerses(response.getContentText());
+    }
+  } catch (error) {
+    // Skip
+  }
+  return [];
+}
+
+/**
+ * Extracts the numbered verses of a passage from HTML
+ * Returns a list of { number, text }; text before the first verse number has an empty number
+ */
+function extractScriptureVerses(htmlContent) {
+  try {
+    const stdTextRegex = /<[^>]*class\s*=\s*["']?[^"']*std-text[^"']*["']?[^>]*>([\s\S]*)/i;
+    const stdTextMatch = htmlContent.match(stdTextRegex);
+    
+    if (!stdTextMatch || !stdTextMatch[1]) {
+      return [];
+    }
+    
+    let textContent = stdTextMatch[1];
+    
+    let divCount = 1;
+    let endIndex = 0;
+    
+    for (let i = 0; i < textContent.length; i++) {
+      if (textContent.substring(i, i + 4) === '<div') {
+        let tagEnd = textContent.indexOf('>', i);
+        if (tagEnd !== -1) {
+          divCount++;
+          i = tagEnd;
+        }
+      } else if (textContent.substring(i, i + 6) === '</div>') {
+        divCount--;
+        if (divCount === 0) {
+          endIndex = i;
+          break;
+        }
+        i += 5;
+      }
+    }
+    
+    textContent = endIndex > 0 ? textContent.substring(0, endIndex) : textContent;
+    
+    // The first verse of a chapter carries the chapter number instead of "1"
+    const verseNumbers = [];
+    textContent = textContent.replace(/<[^>]*class\s*=\s*["']?[^"']*(versenum|chapternum)[^"']*["']?[^>]*>([\s\S]*?)<\/[^>]+>/gi, (match, kind, verseNum) => {
+      verseNumbers.push(kind.toLowerCase() === 'chapternum' ? '1' : verseNum.replace(/<[^>]+>/g, '').trim());
+      return ` {{VERSE_${verseNumbers.length - 1}}} `;
+    });
+    
+    textContent = textContent.replace(/<sup[^>]*>[\s\S]*?<\/sup>/gi, '');
+    textContent = textContent.replace(/<[^>]+>/g, ' ');
+    textContent = textContent.replace(/\(\s*[A-Z]\s*\)/g, '');
+    
+    textContent = textContent.replace(/&nbsp;/g, ' ')
+                             .replace(/&amp;/g, '&')
+                             .replace(/&lt;/g, '<')
+                             .replace(/&gt;/g, '>')
+                             .replace(/&quot;/g, '"')
+                             .replace(/&#39;/g, "'")
+                             .replace(/&#\d+;/g, '');
+    
+    const parts = textContent.split(/\{\{VERSE_(\d+)\}\}/);
+    const verses = [];
+    const leading = parts[0].replace(/\s+/g, ' ').trim();
+    if (leading !== '') {
+      verses.push({ number: '', text: leading });
+    }
+    for (let i = 1; i < parts.length; i += 2) {
+      const text = parts[i + 1].replace(/\s+/g, ' ').trim();
+      if (text !== '') {
+        verses.push({ number: verseNumbers[parseInt(parts[i], 10)], text: text });
+      }
+    }
+    
+    return verses;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Reads a passage from the Bible file at CONFIG.LOCAL_BIBLE_FILE_ID, in the
+ * requested version when the file has it, else in the file's first version
+ */
+function lookupLocalBible(reference, version) {
+  if (!CONFIG.LOCAL_BIBLE_FILE_ID) {
+    return null;
+  }
+
+  if (!localBibleIndex) {
+    const content = DriveApp.getFileById(CONFIG.LOCAL_BIBLE_FILE_ID).getBlob().getDataAsString();
+    localBibleIndex = parseLocalBible(content);
+  }
+
+  const versions = Object.keys(localBibleIndex);
+  const localVersion = localBibleIndex[version] ? version : versions[0];
+  const book = localVersion && localBibleIndex[localVersion][reference.book.name];
+  if (!book) {
+    return null;
+  }
+
+  const verses = [];
+  for (let chapter = reference.chapter; chapter <= reference.endChapter; chapter++) {
+    const chapterVerses = book[chapter] || {};
+    const first = chapter === reference.chapter && reference.verse !== null ? reference.verse : 1;
+    const last = chapter === reference.endChapter && reference.endVerse !== null ? reference.endVerse : Infinity;
+    Object.keys(chapterVerses)
+      .map(number => Number(number))
+      .filter(number => number >= first && number <= last)
+      .sort((a, b) => a - b)
+      .forEach(number => verses.push({ number: String(number), text: chapterVerses[number] }));
+  }
+
+  return { version: localVersion, verses: verses };
+}
+
+/**
+ * Parses a local Bible from JSON or CSV text into
+ * { version: { book name: { chapter: { verse: text } } } }
+ *
+ * JSON: { "KJV": { "John": { "3": { "16": "For God so loved..." } } } }, where
+ *       chapters and verses may also be arrays starting at 1
+ * CSV:  version,book,chapter,verse,text - one row per verse, version defaults
+ *       to CONFIG.LOCAL_BIBLE_VERSION
+ * Book names may be abbreviated as in a scripture reading
+ */
+function parseLocalBible(content) {
+  const trimmed = (content || '').trim();
+  const rows = [];
+  if (trimmed === '') return {};
+
+  if (trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    Object.keys(parsed).forEach(version => {
+      Object.keys(parsed[version]).forEach(book => {
+        forEachLocalBibleEntry(parsed[version][book], (chapter, verses) => {
+          forEachLocalBibleEntry(verses, (verse, text) => rows.push([version, book, chapter, verse, text]));
+        });
+      });
+    });
+  } else {
+    const csv = Utilities.parseCsv(trimmed);
+    const header = csv[0].map(cell => cell.toString().trim().toLowerCase());
+    const column = name => header.indexOf(name);
+    csv.slice(1).forEach(row => {
+      rows.push(['version', 'book', 'chapter', 'verse', 'text'].map(name => column(name) === -1 ? '' : row[column(name)]));
+    });
+  }
+
+  const index = {};
+  rows.forEach(([version, bookName, chapter, verse, text]) => {
+    const key = normalizeBibleVersion(version) || CONFIG.LOCAL_BIBLE_VERSION;
+    let book;
+    try {
+      book = findBibleBook(String(bookName)).name;
+    } catch (error) {
+      return;
+    }
+    if (!parseInt(chapter, 10) || !parseInt(verse, 10) || !text) return;
+
+    index[key] = index[key] || {};
+    index[key][book] = index[key][book] || {};
+    index[key][book][parseInt(chapter, 10)] = index[key][book][parseInt(chapter, 10)] || {};
+    index[key][book][parseInt(chapter, 10)][parseInt(verse, 10)] = String(text).replace(/\s+/g, ' ').trim();
+  });
+  return index;
+}
+
+/**
+ * Calls fn(number, value) for each entry of an object keyed by number, or of
+ * an array numbered from 1
+ */
+function forEachLocalBibleEntry(entries, fn) {
+  if (Array.isArray(entries)) {
+    entries.forEach((value, index) => fn(index + 1, value));
+  } else {
+    Object.keys(entries || {}).forEach(key => fn(key, entries[key]));
+  }
+}
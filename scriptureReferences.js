@@ -0,0 +1,258 @@
+/**
+ * Scripture references
+ * Parses a schedule's scripture reading, such as "Jn 3:16-17; 1 Cor 13",
+ * into references with canonical book names, chapters and verses. References
+ * are separated by commas or semicolons, and one without a book carries on
+ * the book (and chapter, after a verse) before it, so "John 3:16, 18" reads
+ * John 3:18 second. Invalid references are listed with the reason, so they
+ * can be reported before anything is fetched.
+ */
+
+// Books with their chapter counts and the abbreviations accepted besides
+// unique prefixes of the name
+const BIBLE_BOOKS = [
+  { name: 'Genesis', chapters: 50, abbreviations: ['gn'] },
+  { name: 'Exodus', chapters: 40, abbreviations: ['ex'] },
+  { name: 'Leviticus', chapters: 27, abbreviations: ['lv'] },
+  { name: 'Numbers', chapters: 36, abbreviations: ['nm', 'nb'] },
+  { name: 'Deuteronomy', chapters: 34, abbreviations: ['dt'] },
+  { name: 'Joshua', chapters: 24, abbreviations: ['josh', 'jos'] },
+  { name: 'Judges', chapters: 21, abbreviations: ['judg', 'jdg'] },
+  { name: 'Ruth', chapters: 4, abbreviations: ['rth'] },
+  { name: '1 Samuel', chapters: 31, abbreviations: ['1sm'] },
+  { name: '2 Samuel', chapters: 24, abbreviations: ['2sm'] },
+  { name: '1 Kings', chapters: 22, abbreviations: ['1kgs'] },
+  { name: '2 Kings', chapters: 25, abbreviations: ['2kgs'] },
+  { name: '1 Chronicles', chapters: 29, abbreviations: [] },
+  { name: '2 Chronicles', chapters: 36, abbreviations: [] },
+  { name: 'Ezra', chapters: 10, abbreviations: [] },
+  { name: 'Nehemiah', chapters: 13, abbreviations: [] },
+  { name: 'Esther', chapters: 10, abbreviations: [] },
+  { name: 'Job', chapters: 42, abbreviations: ['jb'] },
+  { name: 'Psalms', singular: 'Psalm', chapters: 150, abbreviations: ['ps', 'psalm', 'pss'] },
+  { name: 'Proverbs', chapters: 31, abbreviations: ['prv'] },
+  { name: 'Ecclesiastes', chapters: 12, abbreviations: ['qoh'] },
+  { name: 'Song of Solomon', chapters: 8, abbreviations: ['song', 'songofsongs', 'sos', 'canticles'] },
+  { name: 'Isaiah', chapters: 66, abbreviations: ['is'] },
+  { name: 'Jeremiah', chapters: 52, abbreviations: ['jr'] },
+  { name: 'Lamentations', chapters: 5, abbreviations: [] },
+  { name: 'Ezekiel', chapters: 48, abbreviations: ['ezk'] },
+  { name: 'Daniel', chapters: 12, abbreviations: ['dn'] },
+  { name: 'Hosea', chapters: 14, abbreviations: [] },
+  { name: 'Joel', chapters: 3, abbreviations: ['jl'] },
+  { name: 'Amos', chapters: 9, abbreviations: [] },
+  { name: 'Obadiah', chapters: 1, abbreviations: [] },
+  { name: 'Jonah', chapters: 4, abbreviations: ['jnh'] },
+  { name: 'Micah', chapters: 7, abbreviations: [] },
+  { name: 'Nahum', chapters: 3, abbreviations: [] },
+  { name: 'Habakkuk', chapters: 3, abbreviations: [] },
+  { name: 'Zephaniah', chapters: 3, abbreviations: [] },
+  { name: 'Haggai', chapters: 2, abbreviations: [] },
+  { name: 'Zechariah', chapters: 14, abbreviations: [] },
+  { name: 'Malachi', chapters: 4, abbreviations: [] },
+  { name: 'Matthew', chapters: 28, abbreviations: ['mt'] },
+  { name: 'Mark', chapters: 16, abbreviations: ['mk', 'mrk'] },
+  { name: 'Luke', chapters: 24, abbreviations: ['lk'] },
+  { name: 'John', chapters: 21, abbreviations: ['jn', 'jhn'] },
+  { name: 'Acts', chapters: 28, abbreviations: [] },
+  { name: 'Romans', chapters: 16, abbreviations: ['rm'] },
+  { name: '1 Corinthians', chapters: 16, abbreviations: [] },
+  { name: '2 Corinthians', chapters: 13, abbreviations: [] },
+  { name: 'Galatians', chapters: 6, abbreviations: [] },
+  { name: 'Ephesians', chapters: 6, abbreviations: [] },
+  { name: 'Philippians', chapters: 4, abbreviations: ['phil', 'php'] },
+  { name: 'Colossians', chapters: 4, abbreviations: [] },
+  { name: '1 Thessalonians', chapters: 5, abbreviations: [] },
+  { name: '2 Thessalonians', chapters: 3, abbreviations: [] },
+  { name: '1 Timothy', chapters: 6, abbreviations: [] },
+  { name: '2 Timothy', chapters: 4, abbreviations: [] },
+  { name: 'Titus', chapters: 3, abbreviations: [] },
+  { name: 'Philemon', chapters: 1, abbreviations: ['phm', 'phlm'] },
+  { name: 'Hebrews', chapters: 13, abbreviations: [] },
+  { name: 'James', chapters: 5, abbreviations: ['jas', 'jm'] },
+  { name: '1 Peter', chapters: 5, abbreviations: ['1pt'] },
+  { name: '2 Peter', chapters: 3, abbreviations: ['2pt'] },
+  { name: '1 John', chapters: 5, abbreviations: ['1jn'] },
+  { name: '2 John', chapters: 1, abbreviations: ['2jn'] },
+  { name: '3 John', chapters: 1, abbreviations: ['3jn'] },
+  { name: 'Jude', chapters: 1, abbreviations: ['jd'] },
+  { name: 'Revelation', chapters: 22, abbreviations: ['rv', 'revelations'] }
+];
+
+/**
+ * Parses a scripture reading into references, each read in its own "(KJV)"
+ * version or defaultVersion
+ * Returns { references, errors }, where references are
+ * { reference, version, book, chapter, verse, endChapter, endVerse } with the
+ * canonical display string in reference, and errors are messages for the
+ * parts that couldn't be read
+ */
+function parseScriptureReading(reading, defaultVersion) {
+  const references = [];
+  const errors = [];
+  let context = null;
+
+  (reading || '').toString().split(/[,;]/).forEach(part => {
+    const withVersion = parseReadingVersion(part, defaultVersion);
+    if (withVersion.reference === '') return;
+
+    try {
+      const parsed = parseScriptureReference(withVersion.reference, context);
+      context = parsed;
+      references.push(Object.assign(parsed, {
+        reference: formatScriptureReference(parsed),
+        version: withVersion.version
+      }));
+    } catch (error) {
+      errors.push('"' + withVersion.reference + '" is not a valid scripture reference: ' + error.message);
+    }
+  });
+
+  return { references: references, errors: errors };
+}
+
+/**
+ * Splits a trailing version such as "Psalm 23 (KJV)" off a reference
+ * Returns { reference, version }, with defaultVersion when none is given
+ */
+function parseReadingVersion(reference, defaultVersion) {
+  const text = reference.toString().trim();
+  const match = text.match(/^(.*?)\s*\(\s*([A-Za-z][A-Za-z0-9-]*)\s*\)$/);
+  if (match && normalizeBibleVersion(match[2])) {
+    return { reference: match[1], version: normalizeBibleVersion(match[2]) };
+  }
+  return { reference: text, version: defaultVersion };
+}
+
+/**
+ * Parses one reference, taking the book and chapter from the previous
+ * reference when it leaves them out
+ * Throws an Error saying what is wrong with it
+ */
+function parseScriptureReference(text, context) {
+  const match = text.match(/^((?:[1-3]|i{1,3}|1st|2nd|3rd|first|second|third)?\s*[a-z][a-z.\s]*?)?\s*(\d.*)?$/i);
+  if (!match) {
+    throw new Error('could not read it');
+  }
+
+  const book = match[1] ? findBibleBook(match[1]) : context && context.book;
+  if (!book) {
+    throw new Error('no book is given');
+  }
+  if (!match[2] && book.chapters === 1) {
+    return { book: book, chapter: 1, verse: null, endChapter: 1, endVerse: null };
+  }
+  if (!match[2]) {
+    throw new Error('no chapter is given');
+  }
+
+  const range = match[2].replace(/[–—]/g, '-').replace(/\s*([:.\-])\s*/g, '$1').trim().split('-');
+  if (range.length > 2) {
+    throw new Error('it has more than one range');
+  }
+  if (range.length === 2 && range[1] === '') {
+    throw new Error('the range has no end');
+  }
+
+  const start = parseChapterAndVerse(range[0]);
+  const end = range.length === 2 ? parseChapterAndVerse(range[1]) : null;
+  if (!start || (range.length === 2 && !end)) {
+    throw new Error('could not read "' + match[2].trim() + '"');
+  }
+
+  // A lone number is a verse after a verse of the same book, or in a book of one chapter
+  const inheritsChapter = !match[1] && context && context.verse !== null;
+  if (start.verse === null && (inheritsChapter || book.chapters === 1)) {
+    start.verse = start.chapter;
+    start.chapter = inheritsChapter ? context.endChapter : 1;
+  }
+
+  const parsed = { book: book, chapter: start.chapter, verse: start.verse, endChapter: start.chapter, endVerse: start.verse };
+  if (end && end.verse !== null) {
+    if (start.verse === null) {
+      throw new Error('the range starts without a verse');
+    }
+    parsed.endChapter = end.chapter;
+    parsed.endVerse = end.verse;
+  } else if (end) {
+    parsed[start.verse === null ? 'endChapter' : 'endVerse'] = end.chapter;
+  }
+
+  validateScriptureReference(parsed);
+  return parsed;
+}
+
+/**
+ * Reads "3" or "3:16" (also "3.16" or "3 16") as { chapter, verse }, or null
+ */
+function parseChapterAndVerse(text) {
+  const match = text.match(/^(\d+)(?:[:.\s](\d+))?$/);
+  if (!match) return null;
+  return { chapter: Number(match[1]), verse: match[2] ? Number(match[2]) : null };
+}
+
+/**
+ * Checks chapters against the book and that ranges run forwards
+ */
+function validateScriptureReference(parsed) {
+  const book = parsed.book;
+  [parsed.chapter, parsed.endChapter].forEach(chapter => {
+    if (chapter < 1 || chapter > book.chapters) {
+      throw new Error(book.name + ' has ' + book.chapters + (book.chapters === 1 ? ' chapter' : ' chapters'));
+    }
+  });
+  if (parsed.verse === 0 || parsed.endVerse === 0) {
+    throw new Error('verses start at 1');
+  }
+  if (parsed.endChapter < parsed.chapter ||
+    (parsed.endChapter === parsed.chapter && parsed.endVerse < parsed.verse)) {
+    throw new Error('the range ends before it starts');
+  }
+}
+
+/**
+ * Writes a parsed reference as "John 3:16-17", "John 3:16-4:2", "Psalm 23" or "Psalms 1-2"
+ */
+function formatScriptureReference(parsed) {
+  const book = parsed.book;
+  if (parsed.verse === null) {
+    return parsed.endChapter === parsed.chapter
+      ? (book.singular || book.name) + ' ' + parsed.chapter
+      : book.name + ' ' + parsed.chapter + '-' + parsed.endChapter;
+  }
+
+  const start = (book.singular || book.name) + ' ' + parsed.chapter + ':' + parsed.verse;
+  if (parsed.endChapter !== parsed.chapter) {
+    return start + '-' + parsed.endChapter + ':' + parsed.endVerse;
+  }
+  return parsed.endVerse !== parsed.verse ? start + '-' + parsed.endVerse : start;
+}
+
+/**
+ * Finds a book by its name, an abbreviation or a unique prefix of its name
+ * Throws an Error when none or more than one book matches
+ */
+function findBibleBook(text) {
+  const key = bibleBookKey(text);
+  const exact = BIBLE_BOOKS.find(book =>
+    bibleBookKey(book.name) === key || book.abbreviations.indexOf(key) !== -1);
+  if (exact) return exact;
+
+  const matches = BIBLE_BOOKS.filter(book => key.length >= 2 && bibleBookKey(book.name).startsWith(key));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error('"' + text.trim() + '" could be ' + matches.map(book => book.name).join(' or '));
+  }
+  throw new Error('there is no book called "' + text.trim() + '"');
+}
+
+/**
+ * Reduces a book name to lowercase letters and a leading number, so "I Cor."
+ * and "1Cor" match alike
+ */
+function bibleBookKey(text) {
+  const ordinals = { i: '1', ii: '2', iii: '3', first: '1', second: '2', third: '3', '1st': '1', '2nd': '2', '3rd': '3' };
+  return text.toString().toLowerCase().replace(/\./g, ' ').trim()
+    .replace(/^(iii|ii|i|first|second|third|1st|2nd|3rd)\s+/, (word, ordinal) => ordinals[ordinal])
+    .replace(/\s+/g, '');
+}
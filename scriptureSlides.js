@@ -0,0 +1,121 @@
+/**
+ * Scripture slides
+ * A template slide with {{scripture_text}} is copied once per group of
+ * CONFIG.SCRIPTURE_VERSES_PER_SLIDE verses (0 puts each reading on one slide),
+ * reading by reading. {{scripture_reference}} on the slide shows the verses that
+ * copy holds, e.g. "John 3:18-19", and {{scripture_version}} the version it was
+ * read in. The single {{passage}} placeholder still
+ * holds every reading at once.
+ */
+
+const SCRIPTURE_PLACEHOLDERS = {
+  TEXT: '{{scripture_text}}',
+  REFERENCE: '{{scripture_reference}}',
+  VERSION: '{{scripture_version}}'
+};
+
+/**
+ * Replaces the {{scripture_text}} template slide with one slide per group of verses
+ */
+function createScriptureSlides(presentation, scriptureContent, report) {
+  const readings = scriptureContent.readings || [];
+  if (readings.length === 0) return;
+
+  try {
+    const templateSlide = presentation.getSlides().find(slide =>
+      !slide.isSkipped() && findShapeWithText(slide, SCRIPTURE_PLACEHOLDERS.TEXT));
+    if (!templateSlide) return;
+
+    const chunks = [];
+    readings.forEach(reading => {
+      chunkScriptureVerses(reading, CONFIG.SCRIPTURE_VERSES_PER_SLIDE).forEach(chunk => chunks.push(chunk));
+    });
+
+    // Each copy goes right after the template, so create them last to first
+    chunks.reverse().forEach(chunk => {
+      const slide = templateSlide.duplicate();
+      slide.replaceAllText(SCRIPTURE_PLACEHOLDERS.REFERENCE, chunk.reference);
+      slide.replaceAllText(SCRIPTURE_PLACEHOLDERS.VERSION, chunk.version);
+      const shape = findShapeWithText(slide, SCRIPTURE_PLACEHOLDERS.TEXT);
+      if (shape) {
+        fitTextOnSlides(slide, shape, chunk.text);
+      }
+    });
+
+    templateSlide.remove();
+  } catch (error) {
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error creating scripture slides: ' + error.toString());
+  }
+}
+
+/**
+ * Groups a reading's verses, each group with its reference and slide text
+ */
+function chunkScriptureVerses(reading, versesPerSlide) {
+  const size = versesPerSlide > 0 ? versesPerSlide : reading.verses.length;
+  const chapters = scriptureVerseChapters(reading);
+  const chunks = [];
+
+  for (let i = 0; i < reading.verses.length; i += size) {
+    const verses = reading.verses.slice(i, i + size);
+    chunks.push({
+      reference: size >= reading.verses.length || !chapters
+        ? reading.reference
+        : scriptureChunkReference(reading.book, chapters.slice(i, i + size), verses),
+      version: reading.version || '',
+      text: formatScriptureVerses(verses)
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Works out the chapter of each verse of a parsed reading, moving to the next
+ * chapter whenever the verse numbers start again
+ * Returns null when the reading wasn't parsed or its verses aren't numbered
+ */
+function scriptureVerseChapters(reading) {
+  if (!reading.book || !reading.chapter || reading.verses.some(verse => !verse.number)) {
+    return null;
+  }
+
+  let chapter = reading.chapter;
+  let previous = null;
+  return reading.verses.map(verse => {
+    const number = parseInt(verse.number, 10);
+    if (previous !== null && number <= previous) chapter++;
+    previous = number;
+    return chapter;
+  });
+}
+
+/**
+ * Builds the reference of one group of verses, e.g. "John 3:18-19", or
+ * "Romans 8:39-9:1" for a group that crosses into the next chapter
+ */
+function scriptureChunkReference(book, chapters, verses) {
+  const firstChapter = chapters[0];
+  const lastChapter = chapters[chapters.length - 1];
+  const first = verses[0].number;
+  const last = verses[verses.length - 1].number;
+
+  const start = book + ' ' + firstChapter + ':' + first;
+  if (lastChapter !== firstChapter) {
+    return start + '-' + lastChapter + ':' + last;
+  }
+  return last !== first ? start + '-' + last : start;
+}
+
+/**
+ * Finds the first shape on a slide whose text contains the given text
+ */
+function findShapeWithText(slide, text) {
+  return slide.getShapes().find(shape => {
+    try {
+      return shape.getText().asString().includes(text);
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
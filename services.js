@@ -0,0 +1,121 @@
+/**
+ * Service definitions
+ * Each entry in CONFIG.SERVICES is one weekly service with its own weekday,
+ * schedule sheet, template and sections, for example:
+ *   { id: 'vespers', name: 'Vespers', weekday: 'Friday', sheet: 'Vespers Schedule',
+ *     templateId: '...', sections: ['hymns', 'scripture'], requiredColumns: ['DATE', 'OPENING_HYMN'] }
+ * sheet is text the sheet name contains or a RegExp; in the SERVICES setting,
+ * where JSON can't hold a RegExp, sheetPattern gives one as a string instead.
+ * The first service is the default for createHymnsSlides and previewHymnsSlides.
+ */
+
+const SERVICE_SECTIONS = {
+  HYMNS: 'hymns',
+  SCRIPTURE: 'scripture',
+  SERMON: 'sermon',
+  PARTICIPANTS: 'participants',
+  PRAISE: 'praise',
+  BULLETIN: 'bulletin'
+};
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Builds the upcoming deck for every configured service
+ * Returns one run report per service
+ */
+function createAllServicesSlides() {
+  loadSettings();
+  return getServices().map(service => createHymnsSlides(service.id));
+}
+
+/**
+ * Lists the configured services with their defaults filled in
+ */
+function getServices() {
+  return (CONFIG.SERVICES || []).map(service => {
+    const defined = Object.assign({
+      name: service.id,
+      weekday: 'Saturday',
+      sheet: CONFIG.SCHEDULE_SHEET,
+      templateId: CONFIG.TEMPLATE_ID,
+      bulletinSheet: CONFIG.BULLETIN_SHEET,
+      deckLabel: '',
+      requiredColumns: CONFIG.REQUIRED_COLUMNS,
+      sections: Object.values(SERVICE_SECTIONS)
+    }, service);
+
+    if (service.sheetPattern !== undefined) {
+      try {
+        defined.sheet = new RegExp(service.sheetPattern);
+      } catch (error) {
+        defined.sheet = null;
+        defined.sheetPatternError = error.message;
+      }
+    }
+    return defined;
+  });
+}
+
+/**
+ * Finds a service by id, or the first service when no id is given
+ * Returns null for an unknown id
+ */
+function getService(serviceId) {
+  const services = getServices();
+  if (typeof serviceId !== 'string' || serviceId === '') {
+    return services[0] || null;
+  }
+  return services.find(service => service.id === serviceId) || null;
+}
+
+/**
+ * Checks whether a service includes a section
+ */
+function serviceHasSection(service, section) {
+  return service.sections.includes(section);
+}
+
+/**
+ * Gets a service's weekday as a number, Sunday being 0
+ */
+function getServiceWeekday(service) {
+  const weekday = WEEKDAY_NAMES.indexOf(String(service.weekday).toLowerCase());
+  if (weekday === -1) {
+    throw new Error('Unknown weekday "' + service.weekday + '" for service ' + service.id);
+  }
+  return weekday;
+}
+
+/**
+ * Gets the next date after a day (today by default) that falls on the service's weekday
+ */
+function getUpcomingServiceDate(service, fromDate) {
+  const today = fromDate ? new Date(fromDate) : new Date();
+  const upcoming = new Date(today);
+  const daysUntil = (getServiceWeekday(service) - today.getDay() + 7) % 7;
+  upcoming.setDate(today.getDate() + (daysUntil === 0 ? 7 : daysUntil));
+  return upcoming;
+}
+
+/**
+ * Checks a sheet name against a service's sheet, which is either text the name
+ * must contain or a RegExp
+ */
+function matchesServiceSheet(service, sheetName) {
+  if (!service.sheet) {
+    return false;
+  }
+  if (service.sheet instanceof RegExp) {
+    return service.sheet.test(sheetName);
+  }
+  return sheetName.includes(service.sheet);
+}
+
+/**
+ * Names a service's deck: its date, followed by the service's deck label if it has one
+ */
+function getServiceDeckName(service, date) {
+  const dateString = getDateFormatted(date);
+  return service.deckLabel ? dateString + ' ' + service.deckLabel : dateString;
+}
@@ -0,0 +1,357 @@
+/**
+ * Settings
+ * Volunteers change settings in a "Settings" sheet of the schedule spreadsheet
+ * (a Key column and a Value column) or in Script Properties, instead of editing
+ * CONFIG. Keys are CONFIG names such as BIBLE_VERSION, or COLUMNS.<NAME> for a
+ * schedule header. Script Properties win over the sheet, and a key set in
+ * neither keeps its CONFIG default. A value that fails the schema is ignored.
+ */
+
+const SETTINGS_SHEET_NAME = 'Settings';
+
+// Types: id (a Drive ID checked by validateSettings), string, number, list (comma separated), json
+const SETTINGS_SCHEMA = {
+  TEMPLATE_ID: { type: 'id' },
+  SPREADSHEET_ID: { type: 'id' },
+  MIN_FONT_SIZE: { type: 'number', min: 1 },
+  DEFAULT_FONT_SIZE: { type: 'number', min: 1 },
+  LINE_SPACING: { type: 'number', min: 0 },
+  HYMNAL: { type: 'string' },
+  HYMN_PROVIDERS: { type: 'list' },
+  LOCAL_HYMNAL_FILE_ID: { type: 'string', optional: true },
+  HYMN_REFRAIN: { type: 'string', oneOf: ['each', 'allButLast', 'end'] },
+  HYMN_LINES_PER_SLIDE: { type: 'number', min: 0 },
+  HYMN_VERSE_LABEL: { type: 'string', optional: true },
+  HYMN_AMEN: { type: 'string', oneOf: ['keep', 'separate', 'drop'] },
+  HYMN_LAYOUTS: { type: 'json' },
+  BIBLE_VERSION: { type: 'string' },
+  SCRIPTURE_PROVIDERS: { type: 'list' },
+  LOCAL_BIBLE_FILE_ID: { type: 'string', optional: true },
+  LOCAL_BIBLE_VERSION: { type: 'string' },
+  LYRICS_CACHE_FILE_ID: { type: 'string', optional: true },
+  LYRICS_CACHE_TTL_DAYS: { type: 'number', min: 0 },
+  NOTIFY_RECIPIENTS: { type: 'list', optional: true },
+  NOTIFY_WEBHOOK_URL: { type: 'string', optional: true },
+  OUTPUT_FOLDER_ID: { type: 'string', optional: true },
+  RERUN_POLICY: { type: 'string', oneOf: ['regenerate', 'archive'] },
+  ARCHIVE_FOLDER_NAME: { type: 'string' },
+  TRIGGER_DAY: { type: 'string', oneOf: ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'] },
+  TRIGGER_HOUR: { type: 'number', min: 0, max: 23 },
+  RETRY_TRIGGER_DAY: { type: 'string', optional: true, oneOf: ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'] },
+  RETRY_TRIGGER_HOUR: { type: 'number', min: 0, max: 23 },
+  SERVICES: { type: 'json', list: true },
+  SCHEDULE_SHEET: { type: 'string' },
+  BULLETIN_SHEET: { type: 'string' },
+  PRAISE_SUBJECTS: { type: 'list' },
+  PRAISE_WINDOW_DAYS: { type: 'number', min: 1 },
+  PRAISE_SENDERS: { type: 'list', optional: true },
+  PRAISE_LABELS: { type: 'list', optional: true },
+  COLUMN_ALIASES: { type: 'json' },
+  REQUIRED_COLUMNS: { type: 'list', optional: true },
+  ABSENT_SLIDES: { type: 'string', oneOf: ['delete', 'skip'] },
+  SCRIPTURE_VERSES_PER_SLIDE: { type: 'number', min: 0 }
+};
+
+// Loaded settings and their problems, read once per execution
+let settingsState = null;
+
+/**
+ * Reads the Settings sheet and Script Properties and applies every valid value
+ * to CONFIG and COLUMNS
+ * Returns { sources, errors, warnings }, where sources maps each applied key to
+ * 'sheet' or 'properties'
+ */
+function loadSettings() {
+  if (settingsState) {
+    return settingsState;
+  }
+
+  settingsState = { sources: {}, errors: [], warnings: [], checked: false };
+  const propertyValues = readSettingsProperties();
+  const spreadsheetId = propertyValues.SPREADSHEET_ID || CONFIG.SPREADSHEET_ID;
+  const sheetValues = readSettingsSheet(spreadsheetId, settingsState);
+
+  const values = {};
+  Object.keys(sheetValues).forEach(key => {
+    values[key] = { value: sheetValues[key], source: 'sheet' };
+  });
+  Object.keys(propertyValues).forEach(key => {
+    values[key] = { value: propertyValues[key], source: 'properties' };
+  });
+
+  Object.keys(values).forEach(key => {
+    const schema = getSettingSchema(key);
+    if (!schema) {
+      settingsState.warnings.push('Unknown setting ' + key + ' in the ' + values[key].source);
+      return;
+    }
+
+    const result = coerceSettingValue(schema, values[key].value);
+    if (result.error) {
+      settingsState.warnings.push('Setting ' + key + ' ' + result.error + ', using the default');
+      return;
+    }
+
+    applySetting(key, result.value);
+    settingsState.sources[key] = values[key].source;
+  });
+
+  return settingsState;
+}
+
+/**
+ * Loads the settings and checks that the IDs and sheets a build needs exist
+ * Returns { errors, warnings }; a build with errors should not start
+ */
+function validateSettings() {
+  const state = loadSettings();
+  if (state.checked) {
+    return { errors: state.errors, warnings: state.warnings };
+  }
+  state.checked = true;
+
+  checkSettingsFile(state, 'TEMPLATE_ID', CONFIG.TEMPLATE_ID);
+  if (CONFIG.LOCAL_HYMNAL_FILE_ID) {
+    checkSettingsFile(state, 'LOCAL_HYMNAL_FILE_ID', CONFIG.LOCAL_HYMNAL_FILE_ID);
+  }
+  if (CONFIG.LYRICS_CACHE_FILE_ID) {
+    checkSettingsFile(state, 'LYRICS_CACHE_FILE_ID', CONFIG.LYRICS_CACHE_FILE_ID);
+  }
+  if (CONFIG.LOCAL_BIBLE_FILE_ID) {
+    checkSettingsFile(state, 'LOCAL_BIBLE_FILE_ID', CONFIG.LOCAL_BIBLE_FILE_ID);
+  }
+  if (CONFIG.OUTPUT_FOLDER_ID) {
+    try {
+      DriveApp.getFolderById(CONFIG.OUTPUT_FOLDER_ID);
+    } catch (error) {
+      state.errors.push('OUTPUT_FOLDER_ID ' + CONFIG.OUTPUT_FOLDER_ID + ' is not a folder this script can open');
+    }
+  }
+
+  let spreadsheet = null;
+  if (!CONFIG.SPREADSHEET_ID) {
+    state.errors.push('SPREADSHEET_ID is not set');
+  } else {
+    try {
+      spreadsheet = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+    } catch (error) {
+      state.errors.push('SPREADSHEET_ID ' + CONFIG.SPREADSHEET_ID + ' is not a spreadsheet this script can open');
+    }
+  }
+
+  const services = getServices();
+  if (services.length === 0) {
+    state.errors.push('SERVICES has no services');
+  }
+  services.forEach(service => {
+    if (!service.id) {
+      state.errors.push('A service in SERVICES has no id');
+    }
+    if (WEEKDAY_NAMES.indexOf(String(service.weekday).toLowerCase()) === -1) {
+      state.errors.push('Service ' + service.id + ' has an unknown weekday "' + service.weekday + '"');
+    }
+    if (service.sheetPatternError) {
+      state.errors.push('Service ' + service.id + ' has an invalid sheetPattern: ' + service.sheetPatternError);
+    } else if (!(service.sheet instanceof RegExp) && (typeof service.sheet !== 'string' || service.sheet.trim() === '')) {
+      state.errors.push('Service ' + service.id + ' has no sheet; set sheet to text the sheet name contains, or sheetPattern');
+    } else if (spreadsheet && !spreadsheet.getSheets().some(sheet => matchesServiceSheet(service, sheet.getName()))) {
+      state.warnings.push('No sheet in the spreadsheet matches the sheet ' + service.sheet + ' of service ' + service.id);
+    }
+    if (service.templateId !== CONFIG.TEMPLATE_ID) {
+      checkSettingsFile(state, 'templateId of service ' + service.id, service.templateId);
+    }
+  });
+
+  CONFIG.HYMN_PROVIDERS.forEach(name => {
+    if (!HYMN_PROVIDERS[name]) {
+      state.warnings.push('HYMN_PROVIDERS lists unknown provider ' + name);
+    }
+  });
+
+  const layoutNumbers = {};
+  Object.keys(CONFIG.HYMN_LAYOUTS || {}).forEach(number => {
+    const normalized = parseInt(number, 10);
+    if (isNaN(normalized)) {
+      state.warnings.push('HYMN_LAYOUTS entry ' + number + ' is not a hymn number');
+    } else if (layoutNumbers[normalized]) {
+      state.warnings.push('HYMN_LAYOUTS has hymn ' + normalized + ' as both ' + layoutNumbers[normalized] +
+        ' and ' + number + ', using ' + layoutNumbers[normalized]);
+    } else {
+      layoutNumbers[normalized] = number;
+    }
+    normalizeHymnLayout(CONFIG.HYMN_LAYOUTS[number]).problems.forEach(problem => {
+      state.warnings.push('HYMN_LAYOUTS entry for hymn ' + number + ': ' + problem);
+    });
+  });
+
+  CONFIG.SCRIPTURE_PROVIDERS.forEach(name => {
+    if (!SCRIPTURE_PROVIDERS[name]) {
+      state.warnings.push('SCRIPTURE_PROVIDERS lists unknown provider ' + name);
+    }
+  });
+
+  (CONFIG.REQUIRED_COLUMNS || []).concat(Object.keys(CONFIG.COLUMN_ALIASES || {})).forEach(key => {
+    if (!COLUMNS.hasOwnProperty(key)) {
+      state.warnings.push('Unknown column ' + key + ' in REQUIRED_COLUMNS or COLUMN_ALIASES');
+    }
+  });
+
+  if (CONFIG.MIN_FONT_SIZE > CONFIG.DEFAULT_FONT_SIZE) {
+    state.warnings.push('MIN_FONT_SIZE is larger than DEFAULT_FONT_SIZE');
+  }
+
+  return { errors: state.errors, warnings: state.warnings };
+}
+
+/**
+ * Logs the settings in use and every problem found, for running from the editor
+ */
+function checkSettings() {
+  const result = validateSettings();
+  const lines = ['Settings: ' + (result.errors.length > 0 ? 'ERRORS' : result.warnings.length > 0 ? 'WARNINGS' : 'OK')];
+
+  Object.keys(settingsState.sources).forEach(key => {
+    lines.push('  ' + key + ' from the ' + settingsState.sources[key]);
+  });
+  result.errors.forEach(message => lines.push('  Error: ' + message));
+  result.warnings.forEach(message => lines.push('  Warning: ' + message));
+
+  Logger.log(lines.join('\n'));
+  return result;
+}
+
+/**
+ * Records a problem when a Drive file ID is empty or can't be opened
+ */
+function checkSettingsFile(state, label, id) {
+  if (!id) {
+    state.errors.push(label + ' is not set');
+    return;
+  }
+  try {
+    DriveApp.getFileById(id);
+  } catch (error) {
+    state.errors.push(label + ' ' + id + ' is not a file this script can open');
+  }
+}
+
+/**
+ * Reads the Script Properties, leaving out the ones the script keeps for itself
+ */
+function readSettingsProperties() {
+  const values = {};
+  try {
+    const properties = PropertiesService.getScriptProperties().getProperties();
+    Object.keys(properties).forEach(key => {
+      if (!isInternalScriptProperty(key)) {
+        values[key] = properties[key];
+      }
+    });
+  } catch (error) {
+    Logger.log('Error reading settings from Script Properties: ' + error.toString());
+  }
+  return values;
+}
+
+/**
+ * Checks whether a Script Property is one the script writes itself: the last
+ * build of each service, the praise messages used and the lyrics cache file
+ * it created
+ */
+function isInternalScriptProperty(key) {
+  return key.startsWith(LAST_BUILD_PROPERTY_PREFIX) || key === PRAISE_USED_PROPERTY || key === LYRICS_CACHE_PROPERTY;
+}
+
+/**
+ * Reads Key/Value rows from the Settings sheet, skipping blank keys, # comments
+ * and a Key header row
+ */
+function readSettingsSheet(spreadsheetId, state) {
+  const values = {};
+  try {
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(SETTINGS_SHEET_NAME);
+    if (!sheet) {
+      return values;
+    }
+
+    sheet.getDataRange().getValues().forEach((row, index) => {
+      const key = (row[0] || '').toString().trim();
+      if (key === '' || key.startsWith('#') || (index === 0 && key.toLowerCase() === 'key')) {
+        return;
+      }
+      if (values.hasOwnProperty(key)) {
+        state.warnings.push('Setting ' + key + ' appears more than once in the Settings sheet, using row ' + (index + 1));
+      }
+      values[key] = row[1];
+    });
+  } catch (error) {
+    Logger.log('Error reading the Settings sheet: ' + error.toString());
+  }
+  return values;
+}
+
+/**
+ * Gets the schema for a setting key, or null for an unknown key
+ */
+function getSettingSchema(key) {
+  if (SETTINGS_SCHEMA.hasOwnProperty(key)) {
+    return SETTINGS_SCHEMA[key];
+  }
+  const match = key.match(/^COLUMNS\.(\w+)$/);
+  if (match && COLUMNS.hasOwnProperty(match[1])) {
+    return { type: 'string' };
+  }
+  return null;
+}
+
+/**
+ * Converts a sheet cell or property string to the schema type
+ * Returns { value } or { error } describing why the value was rejected
+ */
+function coerceSettingValue(schema, rawValue) {
+  const text = rawValue === null || rawValue === undefined ? '' : rawValue.toString().trim();
+
+  if (text === '') {
+    if (schema.optional) {
+      return { value: schema.type === 'list' ? [] : '' };
+    }
+    return { error: 'is empty' };
+  }
+
+  switch (schema.type) {
+    case 'number': {
+      const number = typeof rawValue === 'number' ? rawValue : Number(text);
+      if (!isFinite(number)) return { error: 'must be a number, not "' + text + '"' };
+      if (schema.min !== undefined && number < schema.min) return { error: 'must be at least ' + schema.min };
+      if (schema.max !== undefined && number > schema.max) return { error: 'must be at most ' + schema.max };
+      return { value: number };
+    }
+    case 'list':
+      return { value: text.split(',').map(item => item.trim()).filter(item => item !== '') };
+    case 'json':
+      try {
+        const value = JSON.parse(text);
+        if (schema.list && !Array.isArray(value)) return { error: 'must be a JSON list' };
+        return { value: value };
+      } catch (error) {
+        return { error: 'is not valid JSON' };
+      }
+    default:
+      if (schema.oneOf && schema.oneOf.indexOf(text) === -1) {
+        return { error: 'must be one of ' + schema.oneOf.join(', ') + ', not "' + text + '"' };
+      }
+      return { value: text };
+  }
+}
+
+/**
+ * Stores a setting in CONFIG, or in COLUMNS for COLUMNS.<NAME> keys
+ */
+function applySetting(key, value) {
+  const match = key.match(/^COLUMNS\.(\w+)$/);
+  if (match) {
+    COLUMNS[match[1]] = value;
+  } else {
+    CONFIG[key] = value;
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * Template engine
+ * Fills every text placeholder of the deck in one walk over its slides:
+ *   {{speaker}}                          a value
+ *   {{speaker|upper}}                    filters: upper, lower, trim, default:"TBA", format:"MMMM d"
+ *   {{#if story}}Story: {{story}}{{else}}...{{/if}}   (and {{#unless name}}...{{/unless}})
+ *   {{#section music}}                   removes the whole slide when music is empty
+ * A conditional that leaves its own line empty removes the line. Names the
+ * engine doesn't know, such as the hymn and praise lyrics placeholders, are left
+ * for the slide builders that handle them.
+ */
+
+const TEMPLATE_TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+// Placeholders that warn when they print an empty value, with their REPORT_STAGES stage
+const TEMPLATE_REPORTED_VALUES = {
+  passage: 'scripture',
+  sermon: 'sheet',
+  speaker: 'sheet',
+  music: 'sheet',
+  prayer: 'sheet',
+  reading: 'sheet',
+  story: 'sheet'
+};
+
+// Placeholders whose shape is resized to fit, and split over more slides if needed, once filled
+const TEMPLATE_FITTED_VALUES = ['passage'];
+
+/**
+ * Collects the values placeholders can use, for the sections the service includes
+ */
+function buildTemplateValues(hymnsData, scriptureContent, praiseData, bulletinLeadersData, service) {
+  const values = {
+    service_date: hymnsData.serviceDate || '',
+    this_week_date: hymnsData.serviceDate || ''
+  };
+
+  if (serviceHasSection(service, SERVICE_SECTIONS.SCRIPTURE)) {
+    values.verse = scriptureContent.verse || '';
+    values.passage = scriptureContent.passage || '';
+    values.version = scriptureContent.version || '';
+  }
+  if (serviceHasSection(service, SERVICE_SECTIONS.SERMON)) {
+    values.sermon = hymnsData.sermonTitle || '';
+  }
+  if (serviceHasSection(service, SERVICE_SECTIONS.PARTICIPANTS)) {
+    values.speaker = hymnsData.speaker || '';
+    values.music = hymnsData.specialMusic || '';
+    values.prayer = hymnsData.prayer || '';
+    values.reading = hymnsData.reader || '';
+    values.story = hymnsData.story || '';
+  }
+  if (praiseData) {
+    values.praise_song = praiseData.songs[0].title;
+    values.praise_songs = praiseData.songs.map(song => song.title).join(', ');
+  }
+  if (bulletinLeadersData) {
+    values.this_week_date = bulletinLeadersData.thisWeek.date;
+    values.this_week_leaders = bulletinLeadersData.thisWeek.leaders;
+    values.next_week_date = bulletinLeadersData.nextWeek.date;
+    values.next_week_leaders = bulletinLeadersData.nextWeek.leaders;
+    values.week_after_date = bulletinLeadersData.weekAfter.date;
+    values.week_after_leaders = bulletinLeadersData.weekAfter.leaders;
+  }
+
+  return values;
+}
+
+/**
+ * Renders every shape of the slides, removing slides whose section marker is empty
+ */
+function renderTemplate(slides, values, columns, report) {
+  const context = createTemplateContext(values, columns, report);
+
+  try {
+    slides.forEach(slide => {
+      const shapes = slide.getShapes();
+      const texts = shapes.map(shape => {
+        try {
+          return shape.getText().asString();
+        } catch (error) {
+          return null;
+        }
+      });
+
+      if (isSlideSectionEmpty(texts, context)) {
+        slide.remove();
+        return;
+      }
+
+      const fitted = [];
+      shapes.forEach((shape, index) => {
+        if (texts[index] === null || texts[index].indexOf('{{') === -1) return;
+        try {
+          const rendered = renderShape(shape, texts[index], context);
+          if (TEMPLATE_FITTED_VALUES.some(name => texts[index].indexOf('{{' + name) !== -1)) {
+            fitted.push({ shape: shape, text: rendered });
+          }
+        } catch (error) {
+          reportWarning(report, REPORT_STAGES.TEMPLATE, 'Could not fill "' + texts[index].trim() + '": ' + error.message);
+        }
+      });
+
+      // Once the whole slide is filled, so that any copies made for overflow are complete
+      fitted.forEach(item => fitTextOnSlides(slide, item.shape, item.text));
+    });
+  } catch (error) {
+    reportError(report, REPORT_STAGES.TEMPLATE, 'Error filling placeholders: ' + error.toString());
+  }
+}
+
+/**
+ * Creates the lookup state shared by every tag of one render
+ */
+function createTemplateContext(values, columns, report) {
+  return { values: values, columns: buildColumnLookup(columns || {}), report: report, warned: [] };
+}
+
+/**
+ * Fills one shape. Plain placeholders are replaced in place so the rest of the
+ * text keeps its formatting; text with conditionals is rewritten as a whole.
+ * Returns the rendered text
+ */
+function renderShape(shape, text, context) {
+  const nodes = parseTemplate(text.replace(/\n$/, ''));
+  const textRange = shape.getText();
+  const replacements = {};
+  const rendered = renderTemplateNodes(nodes, context, replacements);
+
+  if (nodes.some(node => node.type === 'if')) {
+    textRange.setText(rendered);
+  } else {
+    Object.keys(replacements).forEach(tag => {
+      textRange.replaceAllText(tag, replacements[tag]);
+    });
+  }
+  return rendered;
+}
+
+/**
+ * Parses template text into text, value, section and if nodes
+ * Throws when a conditional is not closed or is closed without being opened
+ */
+function parseTemplate(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let last = 0;
+  let match;
+
+  TEMPLATE_TAG_PATTERN.lastIndex = 0;
+  while ((match = TEMPLATE_TAG_PATTERN.exec(text)) !== null) {
+    if (match.index > last) {
+      current.push({ type: 'text', value: text.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    const tag = match[0];
+    const body = match[1].trim();
+    const open = body.match(/^#(if|unless)\s+(.+)$/);
+
+    if (open) {
+      const node = { type: 'if', name: open[2].trim(), negate: open[1] === 'unless', then: [], otherwise: [], tag: tag };
+      current.push(node);
+      stack.push(node);
+      current = node.then;
+    } else if (body === 'else' && stack.length > 1) {
+      const node = stack[stack.length - 1];
+      node.inOtherwise = true;
+      current = node.otherwise;
+    } else if (/^\/(if|unless)$/.test(body)) {
+      if (stack.length === 1) {
+        throw new Error(tag + ' has no matching {{#if}}');
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : lastOpenBranch(parent);
+    } else if (/^#section\s+/.test(body)) {
+      current.push({ type: 'section', tag: tag });
+    } else {
+      current.push(Object.assign({ type: 'value', tag: tag }, parseTemplateExpression(body)));
+    }
+  }
+
+  if (last < text.length) {
+    current.push({ type: 'text', value: text.slice(last) });
+  }
+  if (stack.length > 1) {
+    throw new Error(stack[stack.length - 1].tag + ' is not closed');
+  }
+  return root.children;
+}
+
+/**
+ * Gets the branch of an open if node that tags are currently added to
+ */
+function lastOpenBranch(node) {
+  return node.inOtherwise ? node.otherwise : node.then;
+}
+
+/**
+ * Splits "name|filter|filter:"arg"" into a name and its filters
+ * Arguments can also be in the curly quotes Slides types, like “MMMM d”
+ */
+function parseTemplateExpression(expression) {
+  const parts = expression.match(/(?:[^|"“”]+|"[^"]*"|“[^”]*”)+/g) || [''];
+  const filters = parts.slice(1).map(part => {
+    const filter = part.trim().match(/^(\w+)(?:\s*:\s*(?:"([^"]*)"|“([^”]*)”))?$/);
+    if (!filter) return { name: part.trim(), arg: undefined };
+    return { name: filter[1], arg: filter[2] !== undefined ? filter[2] : filter[3] };
+  });
+  return { name: parts[0].trim(), filters: filters };
+}
+
+/**
+ * Renders parsed nodes; each filled value tag is also recorded in replacements
+ */
+function renderTemplateNodes(nodes, context, replacements) {
+  let output = '';
+  let dropNewline = false;
+
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      output += dropNewline && node.value.startsWith('\n') ? node.value.slice(1) : node.value;
+      dropNewline = false;
+      return;
+    }
+    dropNewline = false;
+
+    if (node.type === 'section') {
+      replacements[node.tag] = '';
+      return;
+    }
+
+    if (node.type === 'if') {
+      const shown = isTemplateValueSet(node.name, context) !== node.negate;
+      const block = renderTemplateNodes(shown ? node.then : node.otherwise, context, replacements);
+      dropNewline = block === '' && (output === '' || output.endsWith('\n'));
+      output += block;
+      return;
+    }
+
+    const resolved = resolveTemplateValue(node.name, context);
+    if (!resolved.known) {
+      output += node.tag;
+      return;
+    }
+
+    const value = applyTemplateFilters(resolved.value, node, context);
+    if (value.trim() === '' && resolved.reportStage) {
+      reportEmptyPlaceholder(context.report, resolved.reportStage, node.tag);
+    }
+    replacements[node.tag] = value;
+    output += value;
+  });
+
+  // An empty block on the last line takes the line break before it along
+  return dropNewline && output.endsWith('\n') ? output.slice(0, -1) : output;
+}
+
+/**
+ * Looks a name up in the values, then in the schedule columns
+ * Returns { known, value, reportStage }
+ */
+function resolveTemplateValue(name, context) {
+  if (context.values.hasOwnProperty(name)) {
+    return { known: true, value: String(context.values[name]), reportStage: TEMPLATE_REPORTED_VALUES[name] };
+  }
+
+  const isColumnTag = name.startsWith('col:');
+  if (!isColumnTag && !/^[a-z0-9_]+$/.test(name)) {
+    return { known: false };
+  }
+
+  const slug = slugifyHeader(isColumnTag ? name.slice(4) : name);
+  if (context.columns.hasOwnProperty(slug)) {
+    return { known: true, value: context.columns[slug], reportStage: REPORT_STAGES.SHEET };
+  }
+
+  if (isColumnTag && context.warned.indexOf(name) === -1) {
+    context.warned.push(name);
+    reportWarning(context.report, REPORT_STAGES.SHEET, 'No schedule column for {{' + name + '}}');
+  }
+  return { known: false };
+}
+
+/**
+ * Checks whether a name has a non-blank value; unknown names count as empty
+ */
+function isTemplateValueSet(name, context) {
+  const resolved = resolveTemplateValue(name, context);
+  return resolved.known && resolved.value.trim() !== '';
+}
+
+/**
+ * Checks the section markers on a slide; the slide is removed when one names an empty value
+ */
+function isSlideSectionEmpty(texts, context) {
+  return texts.some(text => {
+    if (!text) return false;
+    const markers = text.match(/\{\{\s*#section\s+([^{}]+?)\s*\}\}/g) || [];
+    return markers.some(marker => {
+      const name = marker.replace(/^\{\{\s*#section\s+|\s*\}\}$/g, '');
+      return !isTemplateValueSet(name, context);
+    });
+  });
+}
+
+/**
+ * Applies a value tag's filters in order
+ */
+function applyTemplateFilters(value, node, context) {
+  return node.filters.reduce((current, filter) => {
+    switch (filter.name) {
+      case 'upper':
+        return current.toUpperCase();
+      case 'lower':
+        return current.toLowerCase();
+      case 'trim':
+        return current.trim();
+      case 'default':
+        return current.trim() === '' ? (filter.arg || '') : current;
+      case 'format': {
+        if (current.trim() === '') return current;
+        const date = parseServiceDate(current);
+        if (!date) {
+          reportWarning(context.report, REPORT_STAGES.TEMPLATE, node.tag + ' can only format a date, not "' + current + '"');
+          return current;
+        }
+        return Utilities.formatDate(date, Session.getScriptTimeZone(), filter.arg || 'MM/dd/yyyy');
+      }
+      default:
+        reportWarning(context.report, REPORT_STAGES.TEMPLATE, 'Unknown filter "' + filter.name + '" in ' + node.tag);
+        return current;
+    }
+  }, value);
+}
+
+/**
+ * Maps each column's header slug to its value; the first column wins a shared slug
+ */
+function buildColumnLookup(columns) {
+  const lookup = {};
+  Object.keys(columns).forEach(header => {
+    const slug = slugifyHeader(header);
+    if (slug !== '' && !lookup.hasOwnProperty(slug)) {
+      lookup[slug] = columns[header];
+    }
+  });
+  return lookup;
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+// Template slides 4 and 5 hold the praise song, slide 8 the children's story
+function taggedOptions(overrides) {
+  const options = Object.assign(serviceOptions(), { threads: [] }, overrides);
+  options.template[3].notes = 'Praise team up front\nrequires: praise_song';
+  options.template[4].notes = 'requires: praise_lyrics';
+  options.template[7].notes = 'requires: story';
+  options.sheets['Sabbath Schedule 2026'][3][4] = '';
+  return options;
+}
+
+test('slides whose data is missing are removed', () => {
+  const harness = createHarness(taggedOptions());
+  const report = harness.callPlain('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+
+  assert.ok(!texts.some(shapes => shapes.includes('Praise Song')));
+  assert.ok(!texts.some(shapes => shapes.includes("Children's Story")));
+  assert.deepStrictEqual(report.unfilledPlaceholders, []);
+  assert.ok(!report.warnings.some(item => item.message.includes('{{story}}')));
+  assert.ok(harness.Logger.lines.includes('Removed the "{{praise_lyrics}}" slide: no praise_lyrics'));
+});
+
+test('with the skip policy the slides stay but are skipped', () => {
+  const harness = createHarness(taggedOptions());
+  harness.evaluate("CONFIG.ABSENT_SLIDES = 'skip'");
+  const report = harness.callPlain('createHymnsSlides');
+  const slides = harness.createdPresentation('10/24/2026').toSpec();
+
+  const praise = slides.find(slide => slide.shapes[0].text === 'Praise Song');
+  assert.strictEqual(praise.skipped, true);
+  assert.strictEqual(praise.shapes[1].text, '{{praise_song}}');
+  assert.strictEqual(slides.filter(slide => slide.skipped).length, 3);
+  assert.deepStrictEqual(report.unfilledPlaceholders, []);
+});
+
+test('tagged slides stay when their data is there', () => {
+  const options = taggedOptions({ threads: serviceOptions().threads });
+  options.sheets['Sabbath Schedule 2026'][3][4] = 'Daniel Park';
+  const harness = createHarness(options);
+  harness.call('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+
+  assert.ok(texts.some(shapes => shapes[0] === 'Praise Song'));
+  assert.ok(texts.some(shapes => shapes[0] === "Children's Story" && shapes[1] === 'Daniel Park'));
+});
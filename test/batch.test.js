@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+test('a past service can be rebuilt for the archive', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), { now: new Date(2026, 10, 3, 9, 0, 0) }));
+  const report = harness.callPlain('createHymnsSlidesForDate', '2026-10-24');
+
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(report.serviceDate, '10/24/2026');
+  assert.deepStrictEqual(harness.createdPresentation('10/24/2026').slideTexts()[0], ['Welcome\n10/24/2026']);
+  const seconds = date => date.getTime() / 1000;
+  assert.ok(harness.GmailApp.queries[0].startsWith(
+    'after:' + seconds(new Date(2026, 9, 18)) + ' before:' + seconds(new Date(2026, 9, 25)) + ' '));
+});
+
+test('a range builds one deck per Saturday and says why weeks failed', () => {
+  const harness = createHarness(serviceOptions());
+  const reports = harness.callPlain('createHymnsSlidesForRange', '10/14/2026', '10/31/2026');
+
+  assert.deepStrictEqual(reports.map(report => [report.serviceDate, report.status]), [
+    ['10/17/2026', 'failed'],
+    ['10/24/2026', 'ok'],
+    ['10/31/2026', 'failed']
+  ]);
+  assert.deepStrictEqual(reports[0].errors.map(item => item.message), [
+    'Could not fetch opening hymn 100',
+    'Could not fetch hymn details'
+  ]);
+  assert.deepStrictEqual(reports[2].errors.map(item => item.message), [
+    'No row for 10/31/2026 in "Sabbath Schedule 2026"'
+  ]);
+  assert.strictEqual(reports[1].presentationId, harness.createdPresentation('10/24/2026').getId());
+
+  const summary = harness.Logger.lines.find(line => line.startsWith('Built 3 service(s):'));
+  assert.match(summary, /^ {2}10\/31\/2026: FAILED No row for 10\/31\/2026/m);
+});
+
+test('weeks ahead start from the upcoming Saturday', () => {
+  const harness = createHarness(serviceOptions());
+  const reports = harness.callPlain('createHymnsSlidesForWeeks', 4);
+
+  assert.deepStrictEqual(reports.map(report => report.serviceDate),
+    ['10/24/2026', '10/31/2026', '11/07/2026', '11/14/2026']);
+});
+
+test('unreadable dates and oversized ranges build nothing', () => {
+  const harness = createHarness(serviceOptions());
+
+  assert.strictEqual(harness.call('createHymnsSlidesForDate', '2026-02-30'), null);
+  assert.strictEqual(harness.call('createHymnsSlidesForRange', '2026-01-01', '2027-12-31').length, 0);
+  assert.strictEqual(harness.DriveApp.listFiles().filter(file => file.getName() !== 'Template').length, 0);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function buildWithColumns(columns, slideTexts) {
+  const options = serviceOptions();
+  const rows = options.sheets['Sabbath Schedule 2026'];
+  Object.entries(columns).forEach(([header, value]) => {
+    rows[1].push(header);
+    rows[3][rows[1].length - 1] = value;
+  });
+  slideTexts.forEach(text => options.template.splice(1, 0, { shapes: [{ text }] }));
+
+  const harness = createHarness(options);
+  const report = harness.callPlain('createHymnsSlides');
+  return { report, deck: harness.createdPresentation('10/24/2026') };
+}
+
+test('a new column reaches the slides by header or by slug', () => {
+  const { report, deck } = buildWithColumns(
+    { 'Deacon of the Day': 'Joseph Lim', Offertory: 'Church Budget' },
+    ['Offering: {{col:offertory}}', 'Deacon: {{deacon_of_the_day}}']
+  );
+
+  assert.strictEqual(report.status, 'ok');
+  assert.deepStrictEqual(deck.slideTexts().slice(1, 3), [['Deacon: Joseph Lim'], ['Offering: Church Budget']]);
+});
+
+test('any existing column and its date can be placed too', () => {
+  const { deck } = buildWithColumns({}, ['{{col:Date}}: {{col:Special Music}}']);
+
+  assert.deepStrictEqual(deck.slideTexts()[1], ['10/24/2026: Esther Lee (violin)']);
+});
+
+test('an unknown column is reported and left in place', () => {
+  const { report, deck } = buildWithColumns({ Announcements: '' },
+    ['{{col:Call to Worship}}', '{{announcements}}']);
+
+  assert.deepStrictEqual(deck.slideTexts().slice(1, 3), [[''], ['{{col:Call to Worship}}']]);
+  assert.deepStrictEqual(report.warnings.map(item => item.message), [
+    '{{announcements}} was filled with an empty value',
+    'No schedule column for {{col:Call to Worship}}',
+    'Unfilled placeholder {{col:Call to Worship}} on slide 3'
+  ]);
+});
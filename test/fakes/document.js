@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * In-memory stand-in for DocumentApp, plus the part of the Drive advanced
+ * service that uploads a file as a Google Doc. An uploaded blob's content is
+ * taken as the converted document's text.
+ */
+
+const DOCUMENT_MIME = 'application/vnd.google-apps.document';
+
+function createDocumentApp(documentSpecs) {
+  const documents = new Map(Object.entries(documentSpecs || {}));
+  const opened = [];
+
+  return {
+    opened,
+
+    addDocument(id, text) {
+      documents.set(id, text);
+    },
+
+    removeDocument(id) {
+      documents.delete(id);
+    },
+
+    openById(id) {
+      opened.push(id);
+      if (!documents.has(id)) {
+        throw new Error('Document is missing (perhaps it was deleted, or you don\'t have read access?)');
+      }
+      const text = documents.get(id);
+      return {
+        getId: () => id,
+        getBody: () => ({ getText: () => text })
+      };
+    }
+  };
+}
+
+function createDriveService(DocumentApp) {
+  let nextId = 1;
+  const removed = [];
+
+  return {
+    removed,
+
+    Files: {
+      create(resource, blob) {
+        if (!resource || resource.mimeType !== DOCUMENT_MIME) {
+          throw new Error('Only conversion to Google Docs is faked');
+        }
+        const id = 'converted-' + (nextId++);
+        DocumentApp.addDocument(id, blob.getDataAsString());
+        return { id, name: resource.name, mimeType: DOCUMENT_MIME };
+      },
+
+      remove(id) {
+        DocumentApp.removeDocument(id);
+        removed.push(id);
+      }
+    }
+  };
+}
+
+module.exports = { createDocumentApp, createDriveService, DOCUMENT_MIME };
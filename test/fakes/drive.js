@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * In-memory stand-in for DriveApp. Presentation files are backed by the fake
+ * SlidesApp store so that makeCopy produces an independent deck.
+ */
+
+const PRESENTATION_MIME = 'application/vnd.google-apps.presentation';
+
+class FakeBlob {
+  constructor(content, contentType, name) {
+    this._content = content;
+    this._contentType = contentType;
+    this._name = name;
+  }
+
+  getDataAsString() {
+    return this._content;
+  }
+
+  getContentType() {
+    return this._contentType;
+  }
+
+  getName() {
+    return this._name;
+  }
+}
+
+function createIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) throw new Error('No more items');
+      return items[index++];
+    }
+  };
+}
+
+class FakeFolder {
+  constructor(drive, record) {
+    this._drive = drive;
+    this._record = record;
+  }
+
+  getId() {
+    return this._record.id;
+  }
+
+  getName() {
+    return this._record.name;
+  }
+
+  getFiles() {
+    return createIterator(this._drive.listFiles().filter(file => file._record.folderId === this._record.id));
+  }
+
+  getFilesByName(name) {
+    return createIterator(this._drive.listFiles(name).filter(file => file._record.folderId === this._record.id));
+  }
+
+  getFoldersByName(name) {
+    return createIterator(Array.from(this._drive.folders.values())
+      .filter(record => record.parentId === this._record.id && record.name === name)
+      .map(record => new FakeFolder(this._drive, record)));
+  }
+
+  createFolder(name) {
+    return this._drive.addFolder({ name, parentId: this._record.id });
+  }
+}
+
+class FakeFile {
+  constructor(drive, record) {
+    this._drive = drive;
+    this._record = record;
+  }
+
+  getId() {
+    return this._record.id;
+  }
+
+  getName() {
+    return this._record.name;
+  }
+
+  setName(name) {
+    this._record.name = name;
+    if (this._record.mimeType === PRESENTATION_MIME) {
+      this._drive.slides.openById(this._record.id)._name = name;
+    }
+    return this;
+  }
+
+  getMimeType() {
+    return this._record.mimeType;
+  }
+
+  getUrl() {
+    return 'https://drive.google.com/file/d/' + this._record.id + '/view';
+  }
+
+  getBlob() {
+    return new FakeBlob(this._record.content || '', this._record.mimeType, this._record.name);
+  }
+
+  setContent(content) {
+    this._record.content = String(content);
+    return this;
+  }
+
+  isTrashed() {
+    return this._record.trashed;
+  }
+
+  setTrashed(trashed) {
+    this._record.trashed = Boolean(trashed);
+    return this;
+  }
+
+  getParents() {
+    return createIterator([this._drive.getFolderById(this._record.folderId)]);
+  }
+
+  moveTo(folder) {
+    this._record.folderId = folder.getId();
+    return this;
+  }
+
+  makeCopy(name, destination) {
+    const copy = this._drive.addFile({
+      name: name || 'Copy of ' + this._record.name,
+      mimeType: this._record.mimeType,
+      content: this._record.content,
+      folderId: destination ? destination.getId() : this._record.folderId
+    });
+    if (this._record.mimeType === PRESENTATION_MIME) {
+      const source = this._drive.slides.openById(this._record.id);
+      this._drive.slides.addPresentation(copy.getId(), copy.getName(), source.toSpec());
+    }
+    return copy;
+  }
+}
+
+function createDriveApp(slides) {
+  const files = new Map();
+  const folders = new Map([['root', { id: 'root', name: 'My Drive', parentId: null }]]);
+  let nextFileId = 1;
+
+  const drive = {
+    slides,
+    files,
+    folders,
+
+    addFolder(spec) {
+      const record = {
+        id: spec.id || 'folder-' + (nextFileId++),
+        name: spec.name || 'Untitled folder',
+        parentId: spec.parentId || 'root'
+      };
+      folders.set(record.id, record);
+      return new FakeFolder(drive, record);
+    },
+
+    getFolderById(id) {
+      if (!folders.has(id)) {
+        throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      }
+      return new FakeFolder(drive, folders.get(id));
+    },
+
+    getRootFolder() {
+      return drive.getFolderById('root');
+    },
+
+    createFolder(name) {
+      return drive.addFolder({ name });
+    },
+
+    addFile(spec) {
+      const record = {
+        id: spec.id || 'file-' + (nextFileId++),
+        name: spec.name || 'Untitled',
+        mimeType: spec.mimeType || 'text/plain',
+        content: spec.content || '',
+        folderId: spec.folderId || 'root',
+        trashed: false
+      };
+      files.set(record.id, record);
+      return new FakeFile(drive, record);
+    },
+
+    addPresentation(id, name, slideSpecs, folderId) {
+      drive.addFile({ id, name, mimeType: PRESENTATION_MIME, folderId });
+      return slides.addPresentation(id, name, slideSpecs);
+    },
+
+    createFile(name, content, mimeType) {
+      return drive.addFile({ name, content, mimeType });
+    },
+
+    getFileById(id) {
+      if (!files.has(id)) {
+        throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      }
+      return new FakeFile(drive, files.get(id));
+    },
+
+    /**
+     * Files that are not trashed, optionally filtered by name.
+     */
+    listFiles(name) {
+      return Array.from(files.values())
+        .filter(record => !record.trashed && (name === undefined || record.name === name))
+        .map(record => new FakeFile(drive, record));
+    }
+  };
+
+  return drive;
+}
+
+module.exports = { createDriveApp, FakeBlob, PRESENTATION_MIME };
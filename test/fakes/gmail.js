@@ -0,0 +1,88 @@
+'use strict';
+
+const { FakeBlob } = require('./drive');
+
+/**
+ * In-memory stand-in for GmailApp. Threads are returned in the order given,
+ * which stands in for Gmail's most-recent-first ordering.
+ */
+
+let nextMessageId = 1;
+
+class FakeGmailMessage {
+  constructor(spec) {
+    this._id = spec.id || 'msg-' + (nextMessageId++);
+    this._subject = spec.subject || '';
+    this._from = spec.from || '';
+    this._date = spec.date || new Date();
+    this._body = spec.body || '';
+    this._plainBody = spec.plainBody || '';
+    this._attachments = (spec.attachments || []).map(attachment =>
+      new FakeBlob(attachment.content || '', attachment.contentType || 'text/plain', attachment.name));
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  getSubject() {
+    return this._subject;
+  }
+
+  getFrom() {
+    return this._from;
+  }
+
+  getDate() {
+    return this._date;
+  }
+
+  getBody() {
+    return this._body;
+  }
+
+  getPlainBody() {
+    return this._plainBody;
+  }
+
+  getAttachments() {
+    return this._attachments.slice();
+  }
+}
+
+class FakeGmailThread {
+  constructor(spec) {
+    this._messages = (spec.messages || []).map(message =>
+      new FakeGmailMessage(Object.assign({ subject: spec.subject }, message)));
+    this._labels = spec.labels || [];
+  }
+
+  getMessages() {
+    return this._messages.slice();
+  }
+
+  getLabels() {
+    return this._labels.map(name => ({ getName: () => name }));
+  }
+
+  getFirstMessageSubject() {
+    return this._messages.length > 0 ? this._messages[0].getSubject() : '';
+  }
+}
+
+function createGmailApp(threadSpecs) {
+  const threads = (threadSpecs || []).map(spec => new FakeGmailThread(spec));
+  const queries = [];
+
+  return {
+    queries,
+
+    search(query, start, max) {
+      queries.push(query);
+      const from = start || 0;
+      return threads.slice(from, max === undefined ? undefined : from + max);
+    }
+  };
+}
+
+module.exports = { createGmailApp };
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * In-memory stand-in for MailApp. Sent messages are kept in `sent` instead of
+ * being delivered.
+ */
+
+function createMailApp() {
+  const sent = [];
+
+  return {
+    sent,
+
+    sendEmail(recipientOrMessage, subject, body) {
+      const message = typeof recipientOrMessage === 'object'
+        ? Object.assign({}, recipientOrMessage)
+        : { to: recipientOrMessage, subject, body };
+      if (!message.to) {
+        throw new Error('Invalid argument: recipient');
+      }
+      sent.push(message);
+    }
+  };
+}
+
+module.exports = { createMailApp };
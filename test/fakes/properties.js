@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * In-memory stand-in for PropertiesService. Script, user and document
+ * properties are separate string maps.
+ */
+
+class FakeProperties {
+  constructor(initial) {
+    this._values = new Map(Object.entries(initial || {}).map(([key, value]) => [key, String(value)]));
+  }
+
+  getProperty(key) {
+    return this._values.has(key) ? this._values.get(key) : null;
+  }
+
+  setProperty(key, value) {
+    this._values.set(key, String(value));
+    return this;
+  }
+
+  deleteProperty(key) {
+    this._values.delete(key);
+    return this;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this._values);
+  }
+
+  getKeys() {
+    return Array.from(this._values.keys());
+  }
+
+  setProperties(properties) {
+    Object.entries(properties).forEach(([key, value]) => this.setProperty(key, value));
+    return this;
+  }
+}
+
+function createPropertiesService(scriptProperties) {
+  const script = new FakeProperties(scriptProperties);
+  const user = new FakeProperties();
+  const document = new FakeProperties();
+
+  return {
+    getScriptProperties: () => script,
+    getUserProperties: () => user,
+    getDocumentProperties: () => document
+  };
+}
+
+module.exports = { createPropertiesService };
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * In-memory stand-in for ScriptApp. Only weekly time-driven triggers are
+ * supported; installed triggers are kept in `triggers`.
+ */
+
+const WEEK_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+let nextTriggerId = 1;
+
+class FakeTrigger {
+  constructor(spec) {
+    this._id = 'trigger-' + (nextTriggerId++);
+    this._handler = spec.handler;
+    this.weekDay = spec.weekDay;
+    this.hour = spec.hour;
+  }
+
+  getUniqueId() {
+    return this._id;
+  }
+
+  getHandlerFunction() {
+    return this._handler;
+  }
+
+  getEventType() {
+    return 'CLOCK';
+  }
+}
+
+function createScriptApp() {
+  const triggers = [];
+
+  const scriptApp = {
+    triggers,
+    WeekDay: Object.fromEntries(WEEK_DAYS.map(day => [day, day])),
+    EventType: { CLOCK: 'CLOCK' },
+
+    newTrigger(handler) {
+      const spec = { handler, weekDay: null, hour: null };
+      const clockBuilder = {
+        onWeekDay(day) {
+          if (!WEEK_DAYS.includes(day)) throw new Error('Invalid argument: day');
+          spec.weekDay = day;
+          return clockBuilder;
+        },
+        atHour(hour) {
+          if (!(hour >= 0 && hour <= 23)) throw new Error('Invalid argument: hour');
+          spec.hour = hour;
+          return clockBuilder;
+        },
+        nearMinute() {
+          return clockBuilder;
+        },
+        create() {
+          if (!spec.weekDay) throw new Error('A weekly trigger needs a day of the week');
+          const trigger = new FakeTrigger(spec);
+          triggers.push(trigger);
+          return trigger;
+        }
+      };
+      return { timeBased: () => clockBuilder };
+    },
+
+    getProjectTriggers() {
+      return triggers.slice();
+    },
+
+    deleteTrigger(trigger) {
+      const index = triggers.findIndex(item => item.getUniqueId() === trigger.getUniqueId());
+      if (index !== -1) triggers.splice(index, 1);
+    }
+  };
+
+  return scriptApp;
+}
+
+module.exports = { createScriptApp };
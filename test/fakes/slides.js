@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * In-memory stand-in for SlidesApp. A presentation is a list of slides, each
+ * holding shapes with plain text. Only the surface used by the script is faked.
+ */
+
+let nextObjectId = 1;
+
+function newObjectId(prefix) {
+  return prefix + '_' + (nextObjectId++);
+}
+
+function countOccurrences(text, find) {
+  if (!find) return 0;
+  return text.split(find).length - 1;
+}
+
+class FakeTextStyle {
+  constructor(shape) {
+    this._shape = shape;
+  }
+
+  setFontSize(size) {
+    this._shape._fontSize = size;
+    return this;
+  }
+
+  getFontSize() {
+    return this._shape._fontSize;
+  }
+}
+
+class FakeTextRange {
+  constructor(shape) {
+    this._shape = shape;
+  }
+
+  // Like the real TextRange, the rendered string always ends with a newline.
+  asString() {
+    return this._shape._text + '\n';
+  }
+
+  setText(text) {
+    this._shape._text = String(text);
+    return this;
+  }
+
+  clear() {
+    this._shape._text = '';
+  }
+
+  isEmpty() {
+    return this._shape._text === '';
+  }
+
+  replaceAllText(find, replace) {
+    const count = countOccurrences(this._shape._text, find);
+    if (count > 0) {
+      this._shape._text = this._shape._text.split(find).join(String(replace));
+    }
+    return count;
+  }
+
+  getTextStyle() {
+    return new FakeTextStyle(this._shape);
+  }
+}
+
+class FakeShape {
+  constructor(spec) {
+    this._objectId = newObjectId('shape');
+    this._text = spec.text || '';
+    this._width = spec.width || 720;
+    this._height = spec.height || 405;
+    this._fontSize = spec.fontSize || 18;
+  }
+
+  getObjectId() {
+    return this._objectId;
+  }
+
+  getText() {
+    return new FakeTextRange(this);
+  }
+
+  getWidth() {
+    return this._width;
+  }
+
+  getHeight() {
+    return this._height;
+  }
+
+  toSpec() {
+    return { text: this._text, width: this._width, height: this._height, fontSize: this._fontSize };
+  }
+}
+
+class FakeSlide {
+  constructor(presentation, spec) {
+    this._presentation = presentation;
+    this._objectId = newObjectId('slide');
+    this._shapes = (spec.shapes || []).map(shapeSpec => new FakeShape(shapeSpec));
+    this._notes = new FakeShape({ text: spec.notes || '' });
+    this._skipped = Boolean(spec.skipped);
+  }
+
+  getObjectId() {
+    return this._objectId;
+  }
+
+  getShapes() {
+    return this._shapes.slice();
+  }
+
+  getNotesPage() {
+    const notes = this._notes;
+    return { getSpeakerNotesShape: () => notes };
+  }
+
+  isSkipped() {
+    return this._skipped;
+  }
+
+  setSkipped(skipped) {
+    this._skipped = Boolean(skipped);
+  }
+
+  replaceAllText(find, replace) {
+    return this._shapes.reduce((count, shape) => count + shape.getText().replaceAllText(find, replace), 0);
+  }
+
+  // The duplicate is inserted immediately after the original, as in SlidesApp.
+  duplicate() {
+    this._assertAttached();
+    const copy = new FakeSlide(this._presentation, this.toSpec());
+    const slides = this._presentation._slides;
+    slides.splice(slides.indexOf(this) + 1, 0, copy);
+    return copy;
+  }
+
+  // The index counts slides as they are before the move, as in SlidesApp.
+  move(index) {
+    this._assertAttached();
+    const slides = this._presentation._slides;
+    const from = slides.indexOf(this);
+    slides.splice(from, 1);
+    slides.splice(from < index ? index - 1 : index, 0, this);
+  }
+
+  remove() {
+    this._assertAttached();
+    const slides = this._presentation._slides;
+    slides.splice(slides.indexOf(this), 1);
+    this._presentation = null;
+  }
+
+  toSpec() {
+    return {
+      shapes: this._shapes.map(shape => shape.toSpec()),
+      notes: this._notes._text,
+      skipped: this._skipped
+    };
+  }
+
+  _assertAttached() {
+    if (!this._presentation) {
+      throw new Error('The object (' + this._objectId + ') has been deleted.');
+    }
+  }
+}
+
+class FakePresentation {
+  constructor(id, name, slideSpecs) {
+    this._id = id;
+    this._name = name;
+    this._slides = (slideSpecs || []).map(spec => new FakeSlide(this, spec));
+    this.closed = false;
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getUrl() {
+    return 'https://docs.google.com/presentation/d/' + this._id + '/edit';
+  }
+
+  getSlides() {
+    return this._slides.slice();
+  }
+
+  // Copies a slide, possibly from another presentation, to the end of this one.
+  appendSlide(slide) {
+    const copy = new FakeSlide(this, slide.toSpec());
+    this._slides.push(copy);
+    return copy;
+  }
+
+  replaceAllText(find, replace) {
+    return this._slides.reduce((count, slide) => count + slide.replaceAllText(find, replace), 0);
+  }
+
+  saveAndClose() {
+    this.closed = true;
+  }
+
+  toSpec() {
+    return this._slides.map(slide => slide.toSpec());
+  }
+
+  /**
+   * Text of every slide, one array of trimmed shape strings per slide.
+   */
+  slideTexts() {
+    return this._slides.map(slide => slide._shapes.map(shape => shape._text.trim()));
+  }
+}
+
+function createSlidesApp() {
+  const presentations = new Map();
+
+  return {
+    presentations,
+
+    addPresentation(id, name, slideSpecs) {
+      const presentation = new FakePresentation(id, name, slideSpecs);
+      presentations.set(id, presentation);
+      return presentation;
+    },
+
+    openById(id) {
+      if (!presentations.has(id)) {
+        throw new Error('Requested entity was not found.');
+      }
+      return presentations.get(id);
+    }
+  };
+}
+
+module.exports = { createSlidesApp };
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * In-memory stand-in for SpreadsheetApp. Sheets are plain 2D arrays.
+ */
+
+class FakeRange {
+  constructor(sheet) {
+    this._sheet = sheet;
+  }
+
+  getValues() {
+    return this._sheet._rows.map(row => row.slice());
+  }
+}
+
+class FakeSheet {
+  constructor(name, rows) {
+    this._name = name;
+    this._rows = (rows || []).map(row => row.slice());
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getDataRange() {
+    return new FakeRange(this);
+  }
+
+  getLastRow() {
+    return this._rows.length;
+  }
+
+  appendRow(row) {
+    this._rows.push(row.slice());
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(id, sheets) {
+    this._id = id;
+    this._sheets = Object.entries(sheets || {}).map(([name, rows]) => new FakeSheet(name, rows));
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  getSheets() {
+    return this._sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this._sheets.find(sheet => sheet.getName() === name) || null;
+  }
+}
+
+function createSpreadsheetApp() {
+  const spreadsheets = new Map();
+
+  return {
+    addSpreadsheet(id, sheets) {
+      const spreadsheet = new FakeSpreadsheet(id, sheets);
+      spreadsheets.set(id, spreadsheet);
+      return spreadsheet;
+    },
+
+    openById(id) {
+      if (!spreadsheets.has(id)) {
+        throw new Error('Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+      }
+      return spreadsheets.get(id);
+    }
+  };
+}
+
+module.exports = { createSpreadsheetApp };
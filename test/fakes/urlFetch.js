@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-memory stand-in for UrlFetchApp. Routes map a URL to a saved fixture, an
+ * inline response, or a handler function; anything else answers 404.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+class FakeHTTPResponse {
+  constructor(code, body) {
+    this._code = code;
+    this._body = body;
+  }
+
+  getResponseCode() {
+    return this._code;
+  }
+
+  getContentText() {
+    return this._body;
+  }
+}
+
+function loadFixture(relativePath) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8');
+}
+
+function toResponse(route, url, params) {
+  if (typeof route === 'function') {
+    return toResponse(route(url, params), url, params);
+  }
+  if (route instanceof Error) {
+    throw route;
+  }
+  if (typeof route === 'string') {
+    return new FakeHTTPResponse(200, route);
+  }
+  if (route.fixture) {
+    return new FakeHTTPResponse(route.code || 200, loadFixture(route.fixture));
+  }
+  return new FakeHTTPResponse(route.code || 200, route.body || '');
+}
+
+function createUrlFetchApp(routes) {
+  const table = new Map(Object.entries(routes || {}));
+  const requests = [];
+
+  return {
+    requests,
+
+    route(url, response) {
+      table.set(url, response);
+    },
+
+    fetch(url, params) {
+      requests.push({ url, params: params || {} });
+      if (!table.has(url)) {
+        const response = new FakeHTTPResponse(404, '<html><title>404 Not Found</title></html>');
+        if (params && params.muteHttpExceptions) {
+          return response;
+        }
+        throw new Error('Request failed for ' + url + ' returned code 404.');
+      }
+      return toResponse(table.get(url), url, params);
+    }
+  };
+}
+
+module.exports = { createUrlFetchApp, loadFixture };
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * Stand-ins for Utilities, Session and Logger, plus a controllable clock.
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+function dateParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'long'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Formats a date with the subset of SimpleDateFormat patterns the script uses.
+ */
+function formatDate(date, timeZone, pattern) {
+  const p = dateParts(date, timeZone);
+  const tokens = {
+    y: n => (n === 2 ? pad(p.year % 100, 2) : pad(p.year, n)),
+    M: n => (n >= 4 ? MONTHS[p.month - 1] : n === 3 ? MONTHS[p.month - 1].slice(0, 3) : pad(p.month, n)),
+    d: n => pad(p.day, n),
+    E: n => (n >= 4 ? WEEKDAYS[p.weekday] : WEEKDAYS[p.weekday].slice(0, 3)),
+    H: n => pad(p.hour, n),
+    h: n => pad(p.hour % 12 || 12, n),
+    m: n => pad(p.minute, n),
+    s: n => pad(p.second, n),
+    a: () => (p.hour < 12 ? 'AM' : 'PM')
+  };
+
+  return pattern.replace(/'([^']*)'|([yMdEHhmsa])\2*/g, (match, literal, letter) => {
+    if (literal !== undefined) return literal;
+    return tokens[letter](match.length);
+  });
+}
+
+function createClockDate(clock) {
+  // Subclasses the host Date so values built by tests still pass `instanceof Date`.
+  return class ClockDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(clock.now());
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return clock.now();
+    }
+
+    static [Symbol.hasInstance](value) {
+      return value instanceof Date;
+    }
+  };
+}
+
+function createClock(now) {
+  let current = now ? new Date(now).getTime() : Date.now();
+  return {
+    now: () => current,
+    set(value) {
+      current = new Date(value).getTime();
+    }
+  };
+}
+
+/**
+ * Parses CSV text into rows of strings, honouring quoted fields.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function createUtilities() {
+  const sleeps = [];
+  return {
+    sleeps,
+    formatDate,
+    parseCsv,
+    sleep(ms) {
+      sleeps.push(ms);
+    }
+  };
+}
+
+function createSession(timeZone) {
+  return {
+    getScriptTimeZone: () => timeZone
+  };
+}
+
+function createLogger() {
+  const lines = [];
+  const logger = {
+    lines,
+    log(message) {
+      lines.push(String(message));
+      return logger;
+    }
+  };
+  return logger;
+}
+
+module.exports = {
+  createClock,
+  createClockDate,
+  createLogger,
+  createSession,
+  createUtilities,
+  formatDate
+};
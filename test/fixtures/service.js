@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const template = require('./template');
+
+/**
+ * Harness options for one ordinary Sabbath: the run happens on Tuesday
+ * 10/20/2026 and builds the deck for Saturday 10/24/2026.
+ */
+
+function readFixture(relativePath) {
+  return fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+}
+
+function scheduleRows() {
+  return [
+    ['Sabbath Schedule - Fall 2026'],
+    ['Date', 'Opening Hymn', 'Scripture Reading', 'Scripture Reader', "Children's Story",
+      'Special Music', 'Sermon Title', 'Speaker', 'Hymn of Response', 'Intercessory Prayer',
+      'Closing Hymn'],
+    [new Date(2026, 9, 17), '100', 'Psalm 23', 'Min Jung', 'Sarah Oh', '', 'The Good Shepherd',
+      'Elder Paul Shin', '300', 'David Yoo', '200'],
+    [new Date(2026, 9, 24), '462 Blessed Assurance', 'John 3:16-17, Romans 8:28', 'Grace Kim',
+      'Daniel Park', 'Esther Lee (violin)', 'Standing on the Promises', 'Pastor James Cho',
+      '', 'Ruth Han', '108']
+  ];
+}
+
+function bulletinRows() {
+  return [
+    ['Date', 'Greeters', 'Cleaners'],
+    [new Date(2026, 9, 24), 'The Kims', 'Anna, *Ben, Chris*'],
+    [new Date(2026, 9, 31), 'The Parks', 'Dana'],
+    [new Date(2026, 10, 7), '', '']
+  ];
+}
+
+function serviceOptions() {
+  return {
+    now: new Date(2026, 9, 20, 9, 0, 0),
+    sheets: {
+      'Sabbath Schedule 2026': scheduleRows(),
+      'For Bulletin': bulletinRows()
+    },
+    template: template(),
+    routes: {
+      'https://sdahymnals.com/Hymnal/462': { fixture: 'sdahymnals/462.html' },
+      'https://sdahymnals.com/Hymnal/108': { fixture: 'sdahymnals/108.html' },
+      'https://www.biblegateway.com/passage/?search=John%203%3A16-17&version=NIV':
+        { fixture: 'biblegateway/john-3-16-17.html' },
+      'https://www.biblegateway.com/passage/?search=Romans%208%3A28&version=NIV':
+        { fixture: 'biblegateway/romans-8-28.html' }
+    },
+    threads: [
+      {
+        subject: 'Praise lyrics for this Sabbath',
+        messages: [{
+          from: 'Worship Leader <worship@example.org>',
+          date: new Date(2026, 9, 19, 20, 15),
+          body: readFixture('gmail/praise-divs.html')
+        }]
+      }
+    ]
+  };
+}
+
+module.exports = { serviceOptions, scheduleRows, bulletinRows, readFixture };
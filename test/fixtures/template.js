@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * A cut-down copy of the weekly service template. Each entry is one slide.
+ */
+module.exports = function template() {
+  return [
+    { shapes: [{ text: 'Welcome\n{{this_week_date}}' }] },
+    { shapes: [{ text: 'Opening Hymn' }, { text: '{{opening}}' }] },
+    { shapes: [{ text: '{{opening_lyrics}}', width: 960, height: 400 }] },
+    { shapes: [{ text: 'Praise Song' }, { text: '{{praise_song}}' }] },
+    { shapes: [{ text: '{{praise_lyrics}}', width: 960, height: 400 }] },
+    { shapes: [{ text: '{{verse}}' }, { text: 'Read by {{reading}}' }] },
+    { shapes: [{ text: '{{passage}}', width: 960, height: 400 }] },
+    { shapes: [{ text: "Children's Story" }, { text: '{{story}}' }] },
+    { shapes: [{ text: 'Special Music' }, { text: '{{music}}' }] },
+    { shapes: [{ text: '{{sermon}}' }, { text: '{{speaker}}' }] },
+    { shapes: [{ text: 'Hymn of Response' }, { text: '{{hymn:response}}' }] },
+    { shapes: [{ text: '{{hymn:response_lyrics}}', width: 960, height: 400 }] },
+    { shapes: [{ text: 'Intercessory Prayer' }, { text: '{{prayer}}' }] },
+    { shapes: [{ text: 'Closing Hymn' }, { text: '{{closing}}' }] },
+    { shapes: [{ text: '{{closing_lyrics}}', width: 960, height: 400 }] },
+    {
+      shapes: [
+        { text: 'This week ({{this_week_date}})\n{{this_week_leaders}}' },
+        { text: 'Next week ({{next_week_date}})\n{{next_week_leaders}}' },
+        { text: 'Week after ({{week_after_date}})\n{{week_after_leaders}}' }
+      ]
+    }
+  ];
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Loads the Apps Script sources into a sandbox whose globals are in-memory
+ * fakes, so the pipeline can run offline under `node --test`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createDocumentApp, createDriveService } = require('./fakes/document');
+const { createDriveApp } = require('./fakes/drive');
+const { createGmailApp } = require('./fakes/gmail');
+const { createMailApp } = require('./fakes/mail');
+const { createPropertiesService } = require('./fakes/properties');
+const { createScriptApp } = require('./fakes/script');
+const { createSlidesApp } = require('./fakes/slides');
+const { createSpreadsheetApp } = require('./fakes/spreadsheet');
+const { createUrlFetchApp } = require('./fakes/urlFetch');
+const {
+  createClock,
+  createClockDate,
+  createLogger,
+  createSession,
+  createUtilities
+} = require('./fakes/utilities');
+
+const SOURCE_DIR = path.join(__dirname, '..');
+
+function sourceFiles() {
+  return fs.readdirSync(SOURCE_DIR)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => path.join(SOURCE_DIR, name));
+}
+
+/**
+ * Creates a sandbox with every script file loaded.
+ *
+ * Options:
+ *   now        - the moment `new Date()` returns inside the script
+ *   timeZone   - the script time zone (defaults to the host zone)
+ *   sheets     - { sheetName: rows } for the spreadsheet at CONFIG.SPREADSHEET_ID
+ *   template   - slide specs for the presentation at CONFIG.TEMPLATE_ID
+ *   routes     - UrlFetchApp routes, see fakes/urlFetch.js
+ *   threads    - GmailApp thread specs, see fakes/gmail.js
+ *   documents  - { documentId: text } for DocumentApp
+ *   properties - initial script properties
+ */
+function createHarness(options) {
+  const opts = options || {};
+  const timeZone = opts.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const clock = createClock(opts.now);
+
+  const SpreadsheetApp = createSpreadsheetApp();
+  const SlidesApp = createSlidesApp();
+  const DriveApp = createDriveApp(SlidesApp);
+  const UrlFetchApp = createUrlFetchApp(opts.routes);
+  const GmailApp = createGmailApp(opts.threads);
+  const DocumentApp = createDocumentApp(opts.documents);
+  const Drive = createDriveService(DocumentApp);
+  const MailApp = createMailApp();
+  const PropertiesService = createPropertiesService(opts.properties);
+  const ScriptApp = createScriptApp();
+  const Utilities = createUtilities();
+  const Session = createSession(timeZone);
+  const Logger = createLogger();
+
+  const context = vm.createContext({
+    Date: createClockDate(clock),
+    SpreadsheetApp,
+    SlidesApp,
+    DriveApp,
+    UrlFetchApp,
+    GmailApp,
+    DocumentApp,
+    Drive,
+    MailApp,
+    PropertiesService,
+    ScriptApp,
+    Utilities,
+    Session,
+    Logger
+  });
+
+  sourceFiles().forEach(file => {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+
+  const evaluate = expression => vm.runInContext(expression, context);
+
+  if (opts.sheets) {
+    SpreadsheetApp.addSpreadsheet(evaluate('CONFIG.SPREADSHEET_ID'), opts.sheets);
+  }
+  if (opts.template) {
+    DriveApp.addPresentation(evaluate('CONFIG.TEMPLATE_ID'), 'Template', opts.template);
+  }
+
+  return {
+    context,
+    clock,
+    evaluate,
+    SpreadsheetApp,
+    SlidesApp,
+    DriveApp,
+    UrlFetchApp,
+    GmailApp,
+    DocumentApp,
+    Drive,
+    MailApp,
+    PropertiesService,
+    ScriptApp,
+    Utilities,
+    Logger,
+
+    /**
+     * Calls a global function defined by the script.
+     */
+    call(name, ...args) {
+      if (typeof context[name] !== 'function') {
+        throw new Error('No global function named ' + name);
+      }
+      return context[name](...args);
+    },
+
+    /**
+     * Calls a global function and copies its result into this realm, so that
+     * deepStrictEqual can compare it with plain objects and arrays.
+     */
+    callPlain(name, ...args) {
+      const result = this.call(name, ...args);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+
+    /**
+     * Presentations copied from the template during the run, by name.
+     */
+    createdPresentation(name) {
+      const file = DriveApp.listFiles(name)[0];
+      return file ? SlidesApp.openById(file.getId()) : null;
+    }
+  };
+}
+
+module.exports = { createHarness };
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions, scheduleRows } = require('./fixtures/service');
+
+function buildWithRows(rows) {
+  const options = serviceOptions();
+  options.sheets['Sabbath Schedule 2026'] = rows;
+  const harness = createHarness(options);
+  const report = harness.callPlain('createHymnsSlides');
+  return { harness, report, deck: harness.createdPresentation('10/24/2026') };
+}
+
+test('renamed, recased and curly-quoted headers still resolve', () => {
+  const rows = scheduleRows();
+  rows[1] = ['Date', 'opening hymn', 'Scripture', 'Reader', 'Children’s story', 'Special  Music',
+    'Sermon', 'Speaker', 'Hymn of Response', 'Prayer', 'CLOSING HYMN'];
+  const { report, deck } = buildWithRows(rows);
+
+  assert.strictEqual(report.status, 'ok');
+  const texts = deck.slideTexts();
+  assert.ok(texts.some(slide => slide[1] === 'Ruth Han'), 'prayer');
+  assert.ok(texts.some(slide => slide[1] === 'Daniel Park'), "children's story");
+  assert.ok(texts.some(slide => slide[1] === 'Read by Grace Kim'), 'scripture reader');
+});
+
+test('the header row and date column are found wherever they are', () => {
+  const rows = scheduleRows().map(row => [''].concat(row));
+  rows.splice(1, 0, ['', 'Updated weekly by the worship committee']);
+  rows[2][1] = '';
+  const { report } = buildWithRows(rows);
+
+  assert.strictEqual(report.status, 'ok');
+  assert.deepStrictEqual(report.hymns.map(hymn => hymn.number), ['462', '108']);
+});
+
+test('a header one typo away from a field matches it', () => {
+  const harness = createHarness(serviceOptions());
+  const layout = harness.callPlain('resolveScheduleColumns', [
+    ['Sabbath', 'Opening Hymn', 'Intercesory Prayer', 'Clossing Hymn', 'Speakr'],
+    [new Date(2026, 9, 24), '462', 'Ruth Han', '108', 'Pastor James Cho']
+  ]);
+
+  assert.deepStrictEqual(layout, {
+    headerRow: 0,
+    dateColumn: 0,
+    columns: { DATE: 0, OPENING_HYMN: 1, INTERCESSORY_PRAYER: 2, CLOSING_HYMN: 3 }
+  });
+});
+
+test('a missing required column fails the build loudly', () => {
+  const rows = scheduleRows();
+  rows[1][10] = 'Benediction';
+  const { report, deck } = buildWithRows(rows);
+
+  assert.strictEqual(report.status, 'failed');
+  assert.deepStrictEqual(report.errors, [
+    { stage: 'sheet', message: 'Missing required column(s) in "Sabbath Schedule 2026": Closing Hymn' }
+  ]);
+  assert.strictEqual(deck, null);
+});
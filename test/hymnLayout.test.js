@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+const HYMN = {
+  title: 'Holy, Holy, Holy',
+  verses: ['Verse one', 'Verse two', 'Verse three\nAmen.', '4'],
+  refrain: 'Refrain:\nChorus line'
+};
+
+const DEFAULT_LAYOUT = { refrain: 'allButLast', lines: 0, label: '', amen: 'keep' };
+
+function layout(harness, hymn, options) {
+  return harness.callPlain('layoutHymnSlides', hymn, Object.assign({}, DEFAULT_LAYOUT, options));
+}
+
+test('the refrain can follow each verse, all but the last, or only the last', () => {
+  const harness = createHarness(serviceOptions());
+  const refrain = '[Refrain]:\nChorus line';
+
+  assert.deepStrictEqual(layout(harness, HYMN, {}),
+    ['Verse one', refrain, 'Verse two', refrain, 'Verse three\nAmen.']);
+  assert.deepStrictEqual(layout(harness, HYMN, { refrain: 'each' }),
+    ['Verse one', refrain, 'Verse two', refrain, 'Verse three', refrain + '\nAmen.']);
+  assert.deepStrictEqual(layout(harness, HYMN, { refrain: 'end', amen: 'separate' }),
+    ['Verse one', 'Verse two', 'Verse three', refrain, 'Amen.']);
+  assert.deepStrictEqual(layout(harness, HYMN, { refrain: 'end', amen: 'drop' }),
+    ['Verse one', 'Verse two', 'Verse three', refrain]);
+});
+
+test('long stanzas are split evenly and verses can be labeled', () => {
+  const harness = createHarness(serviceOptions());
+  const hymn = {
+    verses: ['1\n2\n3\n4\n5\n6\n7\n8', 'a\nb\nc\nd\ne', 'Amen'],
+    refrain: 'Refrain:\nr1\nr2\nr3\nr4\nr5\nr6'
+  };
+
+  assert.deepStrictEqual(layout(harness, hymn, { lines: 4, label: 'Verse {n} of {total}' }), [
+    'Verse 1 of 2\n1\n2\n3\n4', 'Verse 1 of 2\n5\n6\n7\n8',
+    '[Refrain]:\nr1\nr2\nr3', '[Refrain]:\nr4\nr5\nr6',
+    'Verse 2 of 2\na\nb\nc', 'Verse 2 of 2\nd\ne\nAmen'
+  ]);
+});
+
+test('template notes and HYMN_LAYOUTS set the layout of a hymn', () => {
+  const options = serviceOptions();
+  options.template[2].notes = 'layout: refrain=end, label=Verse {n} of {total}, colour=blue';
+  const harness = createHarness(options);
+  harness.evaluate("CONFIG.HYMN_LAYOUTS = { '462': { refrain: 'each' } }");
+
+  const report = harness.callPlain('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+
+  assert.deepStrictEqual(texts.slice(2, 8).map(slide => slide[0].split('\n')[0]),
+    ['Verse 1 of 3', '[Refrain]:', 'Verse 2 of 3', '[Refrain]:', 'Verse 3 of 3', '[Refrain]:']);
+  assert.ok(report.warnings.some(item =>
+    item.message === 'Hymn layout in the notes of the "{{opening_lyrics}}" slide: unknown option "colour"'));
+});
+
+test('HYMN_LAYOUTS keys match hymn numbers with or without leading zeros', () => {
+  const harness = createHarness(serviceOptions());
+  harness.evaluate("CONFIG.HYMN_LAYOUTS = { '12': { refrain: 'end' }, '0108': { lines: 4 }, '108': { lines: 6 }, 'doxology': {} }");
+
+  assert.deepStrictEqual(harness.callPlain('hymnLayoutEntry', '012'), { refrain: 'end' });
+  assert.deepStrictEqual(harness.callPlain('hymnLayoutEntry', '108'), { lines: 6 });
+  assert.deepStrictEqual(harness.callPlain('hymnLayoutEntry', '462'), {});
+  assert.deepStrictEqual(harness.callPlain('validateSettings').warnings, [
+    'HYMN_LAYOUTS has hymn 108 as both 108 and 0108, using 108',
+    'HYMN_LAYOUTS entry doxology is not a hymn number'
+  ]);
+});
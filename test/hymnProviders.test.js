@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+const LOCAL_JSON = JSON.stringify([
+  {
+    hymnal: 'sda',
+    number: 108,
+    title: 'Amazing Grace',
+    verses: ['Amazing grace! How sweet the sound\nThat saved a wretch like me!'],
+    refrain: ''
+  },
+  {
+    hymnal: 'sda',
+    number: '462',
+    title: 'Blessed Assurance (local)',
+    verses: ['Blessed assurance, Jesus is mine!'],
+    refrain: 'This is my story, this is my song'
+  }
+]);
+
+const LOCAL_CSV = [
+  'hymnal,number,title,part,text',
+  'sda,1,Praise to the Lord,1,"Praise to the Lord, the Almighty,\nthe King of creation!"',
+  'sda,1,,2,"Praise to the Lord, who o\'er all things\nso wondrously reigneth"',
+  'hymnsForWorship,12,Holy Ground,refrain,"We are standing on holy ground"',
+  'hymnsForWorship,12,,1,"This is holy ground"'
+].join('\n');
+
+function withLocalHymnal(content, overrides) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  harness.DriveApp.addFile({ id: 'local-hymnal', name: 'hymnal.json', content });
+  harness.evaluate("CONFIG.LOCAL_HYMNAL_FILE_ID = 'local-hymnal'");
+  return harness;
+}
+
+test('the sdahymnals scraper answers first when the site is up', () => {
+  const harness = withLocalHymnal(LOCAL_JSON);
+
+  const hymn = harness.call('fetchHymn', '462');
+
+  assert.strictEqual(hymn.title, 'Blessed Assurance');
+  assert.strictEqual(hymn.verses.length, 3);
+  assert.match(hymn.refrain, /^Refrain:/);
+});
+
+test('falls back to the local hymnal when the site is down', () => {
+  const harness = withLocalHymnal(LOCAL_JSON, { routes: {} });
+
+  const details = harness.call('fetchHymnDetails', { hymnNumbers: { opening: '462', closing: '108' } });
+
+  assert.strictEqual(details.opening.title, 'Blessed Assurance (local)');
+  assert.strictEqual(details.closing.title, 'Amazing Grace');
+  assert.deepStrictEqual(Array.from(details.closing.verses),
+    ['Amazing grace! How sweet the sound\nThat saved a wretch like me!']);
+});
+
+test('falls back when the site returns a page without verses', () => {
+  const harness = withLocalHymnal(LOCAL_JSON, {
+    routes: { 'https://sdahymnals.com/Hymnal/108': '<html><h1>Redesigned</h1></html>' }
+  });
+
+  const hymn = harness.call('fetchHymn', '108');
+
+  assert.strictEqual(hymn.title, 'Amazing Grace');
+  assert.strictEqual(hymn.verses.length, 1);
+});
+
+test('provider order is taken from config', () => {
+  const harness = withLocalHymnal(LOCAL_JSON);
+  harness.evaluate("CONFIG.HYMN_PROVIDERS = ['localHymnal', 'sdahymnals']");
+
+  const hymn = harness.call('fetchHymn', '462');
+
+  assert.strictEqual(hymn.title, 'Blessed Assurance (local)');
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 0);
+});
+
+test('reads CSV hymnals, including hymnals the scraper does not cover', () => {
+  const harness = withLocalHymnal(LOCAL_CSV, { routes: {} });
+
+  const praise = harness.call('fetchHymn', '001');
+  assert.strictEqual(praise.title, 'Praise to the Lord');
+  assert.strictEqual(praise.verses.length, 2);
+  assert.strictEqual(praise.verses[1], "Praise to the Lord, who o'er all things\nso wondrously reigneth");
+
+  const requestsBefore = harness.UrlFetchApp.requests.length;
+  const holyGround = harness.call('fetchHymn', '12', 'hymnsForWorship');
+  assert.strictEqual(holyGround.refrain, 'We are standing on holy ground');
+  assert.strictEqual(harness.UrlFetchApp.requests.length, requestsBefore,
+    'the SDA scraper is skipped for other hymnals');
+});
+
+test('CSV verses are ordered by their part number', () => {
+  const harness = withLocalHymnal([
+    'hymnal,number,title,part,text',
+    'sda,5,Unsorted,3,"Third"',
+    'sda,5,,1,"First"',
+    'sda,5,,2,"Second draft"',
+    'sda,5,,2,"Second"'
+  ].join('\n'), { routes: {} });
+
+  const hymn = harness.call('fetchHymn', '5');
+
+  assert.deepStrictEqual(Array.from(hymn.verses), ['First', 'Second', 'Third']);
+  assert.ok(harness.Logger.lines.includes('Local hymnal sda 5 has verse 2 more than once, using the last row'));
+});
+
+test('returns null when no provider has the hymn', () => {
+  const harness = withLocalHymnal(LOCAL_JSON, { routes: {} });
+
+  assert.strictEqual(harness.call('fetchHymn', '999'), null);
+});
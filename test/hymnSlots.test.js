@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions, scheduleRows } = require('./fixtures/service');
+
+/**
+ * Builds the 10/24 deck after letting the test edit that week's schedule row.
+ */
+function buildWithRow(editRow, editOptions) {
+  const options = serviceOptions();
+  const rows = scheduleRows();
+  const header = rows[1];
+  const row = rows[3];
+  editRow((column, value) => {
+    if (!header.includes(column)) header.push(column);
+    row[header.indexOf(column)] = value;
+  });
+  options.sheets['Sabbath Schedule 2026'] = rows;
+  if (editOptions) editOptions(options);
+
+  const harness = createHarness(options);
+  harness.call('createHymnsSlides');
+  return { harness, deck: harness.createdPresentation('10/24/2026') };
+}
+
+test('a hymn of response gets its own title and verse slides', () => {
+  const { deck } = buildWithRow(set => set('Hymn of Response', '462'));
+
+  const texts = deck.slideTexts();
+  const sermon = texts.findIndex(slide => slide[0] === 'Standing on the Promises');
+  assert.deepStrictEqual(texts[sermon + 1], ['Hymn of Response', 'Blessed Assurance']);
+  assert.match(texts[sermon + 2][0], /^Blessed assurance, Jesus is mine!/);
+  assert.match(texts[sermon + 3][0], /^\[Refrain\]:/);
+  assert.match(texts[sermon + 6][0], /^Perfect submission, all is at rest,/);
+  assert.deepStrictEqual(texts[sermon + 7], ['Intercessory Prayer', 'Ruth Han']);
+});
+
+test('slides for an empty slot are removed', () => {
+  const { deck } = buildWithRow(set => set('Opening Hymn', ''));
+
+  const texts = deck.slideTexts();
+  assert.deepStrictEqual(texts.slice(0, 2), [
+    ['Welcome\n10/24/2026'],
+    ['Praise Song', 'Come, Thou Fount of Every Blessing']
+  ]);
+  assert.ok(!texts.flat().some(text => text.includes('{{')), 'no hymn placeholders remain');
+});
+
+test('a title slide shared with a sung hymn is kept and only cleared', () => {
+  const { deck } = buildWithRow(() => {}, options => {
+    options.template[10] = {
+      shapes: [{ text: 'Hymns' }, { text: '{{hymn:response}}' }, { text: '{{closing}}' }]
+    };
+    options.template[13] = { shapes: [{ text: 'Closing Hymn' }] };
+  });
+
+  const texts = deck.slideTexts();
+  assert.ok(texts.some(slide => slide[0] === 'Hymns' && slide[1] === '' && slide[2] === 'Amazing Grace'));
+});
+
+test('nothing is built when a sung hymn has no template slides', () => {
+  const { harness, deck } = buildWithRow(set => set('Communion Hymn', '108'));
+
+  assert.ok(harness.Logger.lines.includes('Missing template slides'));
+  assert.ok(deck.slideTexts().flat().includes('{{opening_lyrics}}'), 'the copy is left unpopulated');
+});
+
+test('any "<Key> Hymn" column with template slides is a hymn slot', () => {
+  const { harness, deck } = buildWithRow(set => {
+    set('Second Baptismal Hymn', '108');
+    set('Hymn of Dedication', '462');
+  }, options => {
+    options.template.splice(13, 0,
+      { shapes: [{ text: 'Baptism' }, { text: '{{hymn:second_baptismal}}' }] },
+      { shapes: [{ text: '{{hymn:second_baptismal_lyrics}}', width: 960, height: 400 }] });
+  });
+
+  const texts = deck.slideTexts();
+  const baptism = texts.findIndex(slide => slide[0] === 'Baptism');
+  assert.deepStrictEqual(texts[baptism], ['Baptism', 'Amazing Grace']);
+  assert.match(texts[baptism + 1][0], /^Amazing grace! How sweet the sound/);
+  assert.ok(!texts.flat().some(text => text.includes('{{')), 'no hymn placeholders remain');
+
+  assert.ok(harness.Logger.lines.some(line =>
+    line.includes('The template has no {{hymn:dedication}} and {{hymn:dedication_lyrics}} slides, so the dedication hymn was left out')));
+});
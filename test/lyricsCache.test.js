@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function cacheContent(harness) {
+  const fileId = harness.PropertiesService.getScriptProperties().getProperty('LYRICS_CACHE_FILE_ID');
+  return harness.DriveApp.getFileById(fileId).getBlob().getDataAsString();
+}
+
+/**
+ * Starts a new execution that shares the cache file written by an earlier one.
+ */
+function nextRun(content, overrides) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  harness.DriveApp.addFile({ id: 'lyrics-cache', name: 'Lyrics Cache.json', content });
+  harness.PropertiesService.getScriptProperties().setProperty('LYRICS_CACHE_FILE_ID', 'lyrics-cache');
+  return harness;
+}
+
+function firstRunCache() {
+  const harness = createHarness(serviceOptions());
+  harness.call('createHymnsSlides');
+  return cacheContent(harness);
+}
+
+test('the first build stores hymns and passages in a new cache file', () => {
+  const entries = JSON.parse(firstRunCache());
+
+  assert.deepStrictEqual(Object.keys(entries).sort(), [
+    'hymn:sda:108',
+    'hymn:sda:462',
+    'scripture:NIV:john 3:16-17',
+    'scripture:NIV:romans 8:28'
+  ]);
+  assert.strictEqual(entries['hymn:sda:462'].value.title, 'Blessed Assurance');
+  assert.strictEqual(entries['hymn:sda:462'].pinned, false);
+  assert.strictEqual(entries['scripture:NIV:romans 8:28'].value[0].number, '28');
+  assert.match(entries['scripture:NIV:romans 8:28'].value[0].text, /^And we know/);
+});
+
+test('a later build fetches nothing and does not sleep', () => {
+  const harness = nextRun(firstRunCache());
+
+  harness.call('createHymnsSlides');
+
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 0);
+  assert.deepStrictEqual(harness.Utilities.sleeps, []);
+  const deck = harness.createdPresentation('10/24/2026');
+  assert.deepStrictEqual(deck.slideTexts()[17], ['Closing Hymn', 'Amazing Grace']);
+});
+
+test('expired entries are refetched when the sites are up', () => {
+  const harness = nextRun(firstRunCache(), { now: new Date(2027, 9, 20) });
+
+  harness.call('fetchHymnDetails', { hymnNumbers: { opening: '462', closing: '108' } });
+
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 2);
+  const entries = JSON.parse(cacheContent(harness));
+  assert.match(entries['hymn:sda:462'].storedAt, /^2027-10-20/);
+});
+
+test('expired entries still build the deck when the sites are down', () => {
+  const harness = nextRun(firstRunCache(), { now: new Date(2027, 9, 20), routes: {} });
+
+  const details = harness.call('fetchHymnDetails', { hymnNumbers: { opening: '462', closing: '108' } });
+  const scripture = harness.call('fetchScriptureContent', 'Romans 8:28');
+
+  assert.strictEqual(details.opening.title, 'Blessed Assurance');
+  assert.match(scripture.passage, /^28 And we know/);
+  assert.ok(harness.Logger.lines.includes('Using expired cache entry for hymn:sda:462'));
+});
+
+test('pinned entries keep a corrected lyric even after they expire', () => {
+  const entries = JSON.parse(firstRunCache());
+  entries['hymn:sda:108'].value.title = 'Amazing Grace! (My Chains Are Gone)';
+  entries['hymn:sda:108'].pinned = true;
+  const harness = nextRun(JSON.stringify(entries), { now: new Date(2030, 0, 1) });
+
+  const hymn = harness.call('fetchCachedHymn', '108');
+
+  assert.strictEqual(hymn.title, 'Amazing Grace! (My Chains Are Gone)');
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 0);
+});
+
+test('invalidating an entry makes the next lookup fetch it again', () => {
+  const harness = nextRun(firstRunCache());
+
+  assert.strictEqual(harness.call('invalidateLyricsCacheEntry', 'hymn:sda:462'), true);
+  assert.strictEqual(harness.call('invalidateLyricsCacheEntry', 'hymn:sda:462'), false);
+  assert.ok(!('hymn:sda:462' in JSON.parse(cacheContent(harness))));
+
+  harness.call('fetchCachedHymn', '462');
+  assert.deepStrictEqual(harness.UrlFetchApp.requests.map(request => request.url),
+    ['https://sdahymnals.com/Hymnal/462']);
+});
+
+test('a cache file broken by a hand edit is left untouched', () => {
+  const harness = nextRun('{ "hymn:sda:462": ');
+
+  harness.call('fetchCachedHymn', '462');
+
+  assert.strictEqual(cacheContent(harness), '{ "hymn:sda:462": ');
+});
+
+test('a configured cache file that cannot be opened is reported, not replaced', () => {
+  const harness = createHarness(serviceOptions());
+  harness.evaluate("CONFIG.LYRICS_CACHE_FILE_ID = 'missing-cache'");
+
+  const report = harness.callPlain('createHymnsSlides');
+  const hymn = harness.call('fetchCachedHymn', '462');
+
+  assert.strictEqual(hymn.title, 'Blessed Assurance');
+  assert.ok(report.errors.some(item => item.message.startsWith('LYRICS_CACHE_FILE_ID missing-cache')));
+  assert.ok(!Array.from(harness.DriveApp.files.values()).some(file => file.name === 'Lyrics Cache.json'));
+  assert.strictEqual(harness.PropertiesService.getScriptProperties().getProperty('LYRICS_CACHE_FILE_ID'), null);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+const WEBHOOK_URL = 'https://hooks.example.org/media-team';
+
+function harnessWith(overrides, config) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  harness.evaluate('CONFIG.NOTIFY_RECIPIENTS = ' + JSON.stringify(config.recipients || []));
+  harness.evaluate('CONFIG.NOTIFY_WEBHOOK_URL = ' + JSON.stringify(config.webhookUrl || ''));
+  return harness;
+}
+
+test('the media team is emailed the deck link, hymns and scripture', () => {
+  const harness = harnessWith({}, { recipients: ['media@example.org', 'av@example.org'] });
+  harness.call('createHymnsSlides');
+
+  assert.strictEqual(harness.MailApp.sent.length, 1);
+  const email = harness.MailApp.sent[0];
+  const deck = harness.createdPresentation('10/24/2026');
+  assert.strictEqual(email.to, 'media@example.org,av@example.org');
+  assert.strictEqual(email.subject, 'Hymn slides for 10/24/2026: ready');
+  assert.strictEqual(email.body, [
+    'Hymn slides for 10/24/2026: ready',
+    '',
+    'Presentation: ' + deck.getUrl(),
+    'Hymns:',
+    '  Opening Hymn: 462 Blessed Assurance',
+    '  Closing Hymn: 108 Amazing Grace',
+    'Scripture: John 3:16-17, Romans 8:28',
+    'Missing: nothing'
+  ].join('\n'));
+});
+
+test('missing items are listed in the webhook payload', () => {
+  const payloads = [];
+  const routes = serviceOptions().routes;
+  routes[WEBHOOK_URL] = (url, params) => {
+    payloads.push(JSON.parse(params.payload));
+    return { code: 200, body: 'ok' };
+  };
+  const harness = harnessWith({ routes, threads: [] }, { webhookUrl: WEBHOOK_URL });
+  harness.call('createHymnsSlides');
+
+  assert.strictEqual(harness.MailApp.sent.length, 0);
+  assert.strictEqual(payloads.length, 1);
+  assert.strictEqual(payloads[0].status, 'warnings');
+  assert.deepStrictEqual(payloads[0].hymns.map(hymn => hymn.number), ['462', '108']);
+  assert.deepStrictEqual(payloads[0].missing, [
+    '[gmail] No praise lyrics email found',
+    '[template] Unfilled placeholder {{praise_song}} on slide 8',
+    '[template] Unfilled placeholder {{praise_lyrics}} on slide 9'
+  ]);
+  assert.match(payloads[0].text, /^Missing:\n {2}\[gmail\] No praise lyrics email found$/m);
+});
+
+test('a failed build is still announced', () => {
+  const harness = harnessWith({ now: new Date(2026, 11, 1) }, { recipients: ['media@example.org'] });
+  harness.call('createHymnsSlides');
+
+  const email = harness.MailApp.sent[0];
+  assert.strictEqual(email.subject, 'Hymn slides for 12/05/2026: FAILED');
+  assert.match(email.body, /^Presentation: not created$/m);
+  assert.match(email.body, /^ {2}\[sheet\] No row for 12\/05\/2026 in "Sabbath Schedule 2026"$/m);
+});
+
+test('a webhook that is down does not fail the build', () => {
+  const routes = serviceOptions().routes;
+  routes[WEBHOOK_URL] = new Error('Address unavailable: ' + WEBHOOK_URL);
+  const harness = harnessWith({ routes }, { webhookUrl: WEBHOOK_URL });
+  const report = harness.callPlain('createHymnsSlides');
+
+  assert.strictEqual(report.status, 'ok');
+  assert.ok(harness.Logger.lines.some(line => line.startsWith('Error posting notification webhook')));
+});
+
+test('nothing is sent when no recipients are configured', () => {
+  const harness = harnessWith({}, {});
+  harness.call('createHymnsSlides');
+
+  assert.strictEqual(harness.MailApp.sent.length, 0);
+  assert.ok(harness.Logger.lines.includes('No notification recipients configured'));
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function buildDeck(overrides) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  harness.call('createHymnsSlides');
+  return { harness, deck: harness.createdPresentation('10/24/2026') };
+}
+
+test('extractHymnsData reads the row for the target Saturday', () => {
+  const harness = createHarness(serviceOptions());
+  const sheet = harness.SpreadsheetApp.openById(harness.evaluate('CONFIG.SPREADSHEET_ID'))
+    .getSheetByName('Sabbath Schedule 2026');
+
+  const data = harness.call('extractHymnsData', sheet, '10/24/2026');
+
+  assert.deepStrictEqual({ ...data.hymnNumbers }, { opening: '462', closing: '108' });
+  assert.strictEqual(data.scriptureReading, 'John 3:16-17, Romans 8:28');
+  assert.strictEqual(data.speaker, 'Pastor James Cho');
+  assert.strictEqual(data.story, 'Daniel Park');
+});
+
+test('createHymnsSlides builds the full deck from the template copy', () => {
+  const { harness, deck } = buildDeck();
+
+  assert.ok(deck, 'a presentation named after the upcoming Saturday is created');
+  assert.ok(deck.closed, 'the presentation is saved and closed');
+
+  const texts = deck.slideTexts();
+  assert.deepStrictEqual(texts.slice(0, 7), [
+    ['Welcome\n10/24/2026'],
+    ['Opening Hymn', 'Blessed Assurance'],
+    ['Blessed assurance, Jesus is mine!\nO what a foretaste of glory divine!\n' +
+      'Heir of salvation, purchase of God,\nBorn of His Spirit, washed in His blood.'],
+    ['[Refrain]:\nThis is my story, this is my song,\nPraising my Savior all the day long;\n' +
+      'This is my story, this is my song,\nPraising my Savior all the day long.'],
+    ['Perfect submission, perfect delight,\nVisions of rapture now burst on my sight;\n' +
+      'Angels descending bring from above\nEchoes of mercy, whispers of love.'],
+    ['[Refrain]:\nThis is my story, this is my song,\nPraising my Savior all the day long;\n' +
+      'This is my story, this is my song,\nPraising my Savior all the day long.'],
+    ['Perfect submission, all is at rest,\nI in my Savior am happy and blest,\n' +
+      'Watching and waiting, looking above,\nFilled with His goodness, lost in His love.']
+  ]);
+
+  assert.deepStrictEqual(texts.slice(7, 10), [
+    ['Praise Song', 'Come, Thou Fount of Every Blessing'],
+    ['Come, Thou Fount of every blessing,\nTune my heart to sing Thy grace;\n' +
+      'Streams of mercy, never ceasing,\nCall for songs of loudest praise.'],
+    ["Here I raise my Ebenezer;\nHither by Thy help I'm come;\n" +
+      'And I hope, by Thy good pleasure,\nSafely to arrive at home.']
+  ]);
+
+  assert.deepStrictEqual(texts[10], ['John 3:16-17, Romans 8:28', 'Read by Grace Kim']);
+  assert.match(texts[11][0], /^16 For God so loved the world, .* 17 For God sent not his Son .*;$/);
+  assert.match(texts[12][0], /^but that the world through him might be saved\. 28 And we know /,
+    'the long passage continues on a copy of its slide');
+  assert.doesNotMatch(texts[11][0] + texts[12][0], /\(A\)/, 'cross-reference markers are stripped');
+
+  assert.deepStrictEqual(texts.slice(13, 18), [
+    ["Children's Story", 'Daniel Park'],
+    ['Special Music', 'Esther Lee (violin)'],
+    ['Standing on the Promises', 'Pastor James Cho'],
+    ['Intercessory Prayer', 'Ruth Han'],
+    ['Closing Hymn', 'Amazing Grace']
+  ]);
+
+  const closingVerses = texts.slice(18, 22).map(slide => slide[0].split('\n')[0]);
+  assert.deepStrictEqual(closingVerses, [
+    'Amazing grace! How sweet the sound',
+    '’Twas grace that taught my heart to fear,',
+    'Through many dangers, toils, and snares,',
+    'When we’ve been there ten thousand years,'
+  ]);
+
+  assert.deepStrictEqual(texts[22], [
+    'This week (10/24/2026)\nGreeters: The Kims\nCleaners: Dishwashers: Anna\nTable cleaners: Ben, Chris',
+    'Next week (10/31/2026)\nGreeters: The Parks\nCleaners: Dishwashers: Dana',
+    'Week after (11/07/2026)'
+  ]);
+  assert.strictEqual(texts.length, 23);
+
+  const leftovers = texts.flat().filter(text => /\{\{.*\}\}/.test(text));
+  assert.deepStrictEqual(leftovers, [], 'no placeholders remain');
+
+  const template = harness.SlidesApp.openById(harness.evaluate('CONFIG.TEMPLATE_ID'));
+  assert.strictEqual(template.getSlides().length, 16, 'the template itself is untouched');
+});
+
+test('scripture references are fetched one at a time with a pause between', () => {
+  const { harness } = buildDeck();
+
+  const scriptureUrls = harness.UrlFetchApp.requests
+    .map(request => request.url)
+    .filter(url => url.includes('biblegateway'));
+  assert.strictEqual(scriptureUrls.length, 2);
+  assert.deepStrictEqual(harness.Utilities.sleeps, [1000, 1000]);
+});
+
+test('no deck is created when a hymn page is missing', () => {
+  const options = serviceOptions();
+  delete options.routes['https://sdahymnals.com/Hymnal/108'];
+
+  const { harness, deck } = buildDeck(options);
+
+  assert.strictEqual(deck, null);
+  assert.ok(harness.Logger.lines.includes('Could not fetch hymn details'));
+});
+
+test('praise slides keep their placeholders when no lyrics email is found', () => {
+  const { deck } = buildDeck({ threads: [] });
+
+  const texts = deck.slideTexts();
+  assert.deepStrictEqual(texts[7], ['Praise Song', '{{praise_song}}']);
+  assert.deepStrictEqual(texts[8], ['{{praise_lyrics}}']);
+});
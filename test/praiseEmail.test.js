@@ -0,0 +1,178 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions, readFixture } = require('./fixtures/service');
+
+function praiseFrom(message) {
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{ subject: 'Praise lyrics for this Sabbath', messages: [Object.assign({ date: new Date(2026, 9, 19) }, message)] }]
+  }));
+  return harness.callPlain('searchGmailForPraiseLyrics').songs[0];
+}
+
+test('Outlook paragraphs keep their stanzas and drop the sign-off', () => {
+  const praise = praiseFrom({ body: readFixture('gmail/praise-outlook.html') });
+
+  assert.strictEqual(praise.title, 'Great Is Thy Faithfulness');
+  assert.strictEqual(praise.lyrics.length, 3);
+  assert.strictEqual(praise.lyrics[1], 'Great is Thy faithfulness! Great is Thy faithfulness!\n' +
+    'Morning by morning new mercies I see;\nAll I have needed Thy hand hath provided—\n' +
+    'Great is Thy faithfulness, Lord, unto me!');
+  assert.match(praise.lyrics[2], /^Summer and winter .* mercy and love\.$/s);
+});
+
+test('quoted-printable Gmail bodies are decoded and the quoted reply left out', () => {
+  const praise = praiseFrom({ body: readFixture('gmail/praise-quoted-printable.html') });
+
+  assert.strictEqual(praise.title, '10,000 Reasons (Bless the Lord)');
+  assert.deepStrictEqual(praise.lyrics, [
+    'Bless the Lord, O my soul, O my soul\nWorship His holy name\n' +
+      'Sing like never before, O my soul\nI’ll worship Your holy name',
+    'The sun comes up, it’s a new day dawning\nIt’s time to sing Your song again'
+  ]);
+});
+
+test('a phone email split only by <br> breaks stanzas at blank lines', () => {
+  const praise = praiseFrom({ body: readFixture('gmail/praise-phone.html') });
+
+  assert.strictEqual(praise.title, 'Way Maker');
+  assert.deepStrictEqual(praise.lyrics.map(stanza => stanza.split('\n').length), [4, 2]);
+});
+
+test('title, label and break markers in a plain text email', () => {
+  const praise = praiseFrom({ plainBody: readFixture('gmail/praise-markers.txt') });
+  const chorus = 'So here I am to worship, here I am to bow down\nHere I am to say that You’re my God';
+
+  assert.strictEqual(praise.title, 'Here I Am to Worship');
+  assert.deepStrictEqual(praise.lyrics, [
+    'Light of the world, You stepped down into darkness\nOpened my eyes, let me see',
+    chorus,
+    'King of all days, oh so highly exalted\nGlorious in heaven above',
+    chorus,
+    "I'll never know how much it cost to see my sin upon that cross"
+  ]);
+});
+
+test('a greeting before the first Title: line is not a song', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{
+      subject: 'Praise lyrics for this Sabbath',
+      messages: [{ date: new Date(2026, 9, 19), plainBody: readFixture('gmail/praise-greeting.txt') }]
+    }]
+  }));
+
+  const praise = harness.callPlain('searchGmailForPraiseLyrics');
+
+  assert.deepStrictEqual(praise.songs.map(song => [song.title, song.lyrics]), [
+    ['Way Maker', ['You are here, moving in our midst\nI worship You, I worship You']],
+    ['Goodness of God', ['I love You, Lord\nFor Your mercy never fails me']]
+  ]);
+});
+
+test('lyric lines that look like a sign-off are kept', () => {
+  const praise = praiseFrom({
+    plainBody: [
+      'Thank You Jesus',
+      '',
+      'Thank you Jesus,',
+      'For the cross and the grave',
+      '',
+      'Best of all,',
+      'You are with me',
+      '',
+      'Blessings,',
+      'Joy Kim',
+      '555-1234'
+    ].join('\n')
+  });
+
+  assert.strictEqual(praise.title, 'Thank You Jesus');
+  assert.deepStrictEqual(praise.lyrics, [
+    'Thank you Jesus,\nFor the cross and the grave',
+    'Best of all,\nYou are with me'
+  ]);
+});
+
+test('lyrics in text and Word attachments are read instead of the cover note', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{
+      subject: 'Praise lyrics for this Sabbath',
+      messages: [{
+        date: new Date(2026, 9, 19),
+        body: '<div dir="ltr">Hi team,</div><div><br></div><div>Lyrics are attached.</div>',
+        attachments: [
+          { name: 'way maker.txt', contentType: 'text/plain', content: 'Way Maker\r\n\r\nYou are here\r\nmoving in our midst' },
+          { name: 'logo.png', contentType: 'image/png', content: 'PNG' },
+          {
+            name: 'Goodness of God.docx',
+            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            content: 'Goodness of God\n\nI love You, Lord'
+          }
+        ]
+      }]
+    }]
+  }));
+
+  const praise = harness.callPlain('searchGmailForPraiseLyrics');
+
+  assert.deepStrictEqual(praise.songs.map(song => [song.title, song.lyrics]), [
+    ['Way Maker', ['You are here\nmoving in our midst']],
+    ['Goodness of God', ['I love You, Lord']]
+  ]);
+  assert.deepStrictEqual(harness.Drive.removed, ['converted-1']);
+});
+
+test('lyrics in a linked Google Doc are read through DocumentApp', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{
+      subject: 'Praise lyrics for this Sabbath',
+      messages: [{
+        date: new Date(2026, 9, 19),
+        body: '<div>Lyrics: <a href="https://docs.google.com/document/d/lyrics-doc-1/edit?usp=sharing">this week</a></div>' +
+          '<div>Also <a href="https://docs.google.com/document/d/private-doc/edit">last week</a></div>'
+      }]
+    }],
+    documents: { 'lyrics-doc-1': 'Title: Here I Am to Worship\n\nLight of the world\n\n[Chorus]\nSo here I am to worship' }
+  }));
+  const report = harness.call('createRunReport', 'test');
+
+  const praise = JSON.parse(JSON.stringify(harness.call('searchGmailForPraiseLyrics', report)));
+
+  assert.deepStrictEqual(praise.songs.map(song => [song.title, song.lyrics]), [
+    ['Here I Am to Worship', ['Light of the world', 'So here I am to worship']]
+  ]);
+  assert.ok(report.warnings.some(item => item.message.startsWith('Could not open the linked lyrics document private-doc')));
+});
+
+test('links in a quoted reply or a signature are not read', () => {
+  const documents = {
+    'old-lyrics': 'Title: Way Maker\n\nYou are here',
+    'signature-doc': 'Title: Team Schedule\n\nMin leads the first week'
+  };
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{
+      subject: 'Praise lyrics for this Sabbath',
+      messages: [{
+        date: new Date(2026, 9, 19),
+        body: '<div>Here I Am to Worship</div><div><br></div><div>Light of the world</div>' +
+          '<div class="gmail_signature">Min <a href="https://docs.google.com/document/d/signature-doc/edit">schedule</a></div>' +
+          '<div class="gmail_quote"><a href="https://docs.google.com/document/d/old-lyrics/edit">last week</a></div>'
+      }, {
+        date: new Date(2026, 9, 20),
+        plainBody: 'Goodness of God\n\nI love You, Lord\n\n--\nMin\nhttps://docs.google.com/document/d/signature-doc/edit\n' +
+          '> https://docs.google.com/document/d/old-lyrics/edit'
+      }]
+    }],
+    documents: documents
+  }));
+
+  const praise = harness.callPlain('searchGmailForPraiseLyrics');
+
+  assert.deepStrictEqual(praise.songs.map(song => [song.title, song.lyrics]), [
+    ['Here I Am to Worship', ['Light of the world']],
+    ['Goodness of God', ['I love You, Lord']]
+  ]);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function message(id, from, date, plainBody) {
+  return { id, from, date, plainBody };
+}
+
+function search(threads, settings) {
+  const harness = createHarness(Object.assign(serviceOptions(), { threads }));
+  (settings || []).forEach(setting => harness.evaluate(setting));
+  const report = harness.call('createRunReport', 'test');
+  const praise = harness.call('searchGmailForPraiseLyrics', report, new Date(2026, 9, 24));
+  return {
+    harness,
+    titles: praise ? Array.from(praise.songs, song => song.title) : null,
+    warnings: Array.from(report.warnings, item => item.message)
+  };
+}
+
+test('only messages sent in the week up to the service date count', () => {
+  const { titles } = search([{
+    subject: 'Praise lyrics',
+    messages: [
+      message('last-week', 'worship@example.org', new Date(2026, 9, 17, 23, 59), 'Way Maker\n\nYou are here'),
+      message('this-week', 'worship@example.org', new Date(2026, 9, 18, 0, 0), 'Goodness of God\n\nI love You, Lord'),
+      message('next-week', 'worship@example.org', new Date(2026, 9, 25, 8, 0), 'Build My Life\n\nWorthy of every song')
+    ]
+  }]);
+
+  assert.deepStrictEqual(titles, ['Goodness of God']);
+});
+
+test('the sender and label allow-list leaves out reply-all messages', () => {
+  const threads = [
+    {
+      subject: 'Praise lyrics',
+      messages: [
+        message('leader', 'Worship Leader <Worship@example.org>', new Date(2026, 9, 19, 12), 'Way Maker\n\nYou are here'),
+        message('reply-all', 'Deacon <deacon@example.org>', new Date(2026, 9, 20), 'Thanks!\n\nSee you Sabbath')
+      ]
+    },
+    {
+      subject: 'Praise lyrics (piano)',
+      labels: ['Praise Team'],
+      messages: [message('pianist', 'pianist@example.org', new Date(2026, 9, 19, 8), 'Goodness of God\n\nI love You, Lord')]
+    }
+  ];
+
+  const { harness, titles, warnings } = search(threads, [
+    "CONFIG.PRAISE_SENDERS = ['worship@example.org']",
+    "CONFIG.PRAISE_LABELS = ['Praise Team']"
+  ]);
+
+  assert.match(harness.GmailApp.queries[0], / \(from:worship@example\.org OR label:Praise-Team\)$/);
+  assert.deepStrictEqual(titles, ['Way Maker']);
+  assert.deepStrictEqual(warnings, [
+    'Praise lyrics came from pianist@example.org, worship@example.org; using the lyrics from worship@example.org, who sent last'
+  ]);
+});
+
+test('without an allow-list, a reply-all does not replace the leader\'s lyrics', () => {
+  const { titles, warnings } = search([{
+    subject: 'Praise lyrics',
+    messages: [
+      message('leader', 'Joy Kim <joy@example.org>', new Date(2026, 9, 19, 12),
+        'Way Maker\n\nYou are here\n\nGoodness of God\n\nI love You, Lord'),
+      message('reply-all', 'Deacon <deacon@example.org>', new Date(2026, 9, 20),
+        'Thanks Joy!\n\nLooking forward to singing these.\n\nOn Mon, Oct 19, 2026 at 12:00 PM Joy Kim <joy@example.org> wrote:\n> Way Maker')
+    ]
+  }]);
+
+  assert.deepStrictEqual(titles, ['Way Maker']);
+  assert.deepStrictEqual(warnings, [
+    'Praise lyrics came from joy@example.org, deacon@example.org; using the lyrics from joy@example.org, who started the thread'
+  ]);
+});
+
+test('a song sent twice is taken from the latest copy and reported', () => {
+  const { titles, warnings } = search([{
+    subject: 'Praise lyrics',
+    messages: [
+      message('first', 'worship@example.org', new Date(2026, 9, 19, 8, 0), 'Title: Way Maker\nYou are here\n\nTitle: Goodness of God\nI love You'),
+      message('fix', 'worship@example.org', new Date(2026, 9, 20, 21, 30), 'Title: Way Maker\nYou are here, moving in our midst')
+    ]
+  }]);
+
+  assert.deepStrictEqual(titles, ['Way Maker', 'Goodness of God']);
+  assert.deepStrictEqual(warnings, ['The praise song "Way Maker" was sent more than once; using the copy sent 10/20/2026 21:30']);
+});
+
+test('messages a deck used for another week are not used again', () => {
+  const options = serviceOptions();
+  options.threads[0].messages[0].id = 'praise-1';
+  options.properties = { PRAISE_MESSAGES_USED: JSON.stringify({ 'praise-1': '2026-10-17' }) };
+  const harness = createHarness(options);
+
+  const skipped = harness.callPlain('createHymnsSlides');
+  assert.ok(skipped.warnings.some(item => item.message === 'No praise lyrics email found'));
+
+  harness.PropertiesService.getScriptProperties().setProperty('PRAISE_MESSAGES_USED', '{}');
+  harness.callPlain('createHymnsSlides');
+  assert.deepStrictEqual(JSON.parse(harness.PropertiesService.getScriptProperties().getProperty('PRAISE_MESSAGES_USED')),
+    { 'praise-1': '2026-10-24' });
+
+  const rebuilt = harness.callPlain('createHymnsSlides');
+  assert.ok(!rebuilt.warnings.some(item => item.stage === 'gmail'));
+});
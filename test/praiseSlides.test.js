@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions, readFixture } = require('./fixtures/service');
+
+function buildWithThreads(threads) {
+  const harness = createHarness(Object.assign(serviceOptions(), { threads }));
+  const report = harness.callPlain('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+  const start = texts.findIndex(shapes => shapes[0] === 'Praise Song');
+  const end = texts.findIndex(shapes => shapes[0] === 'John 3:16-17, Romans 8:28');
+  return { report, slides: texts.slice(start, end) };
+}
+
+test('songs marked in one email each get a title slide and lyric slides', () => {
+  const { report, slides } = buildWithThreads([{
+    subject: 'Praise lyrics for this Sabbath',
+    messages: [{
+      date: new Date(2026, 9, 19, 20, 15),
+      plainBody: 'Title: Way Maker\n\nYou are here, moving in our midst\n\nWay maker, miracle worker\n\n' +
+        'Title: Goodness of God\n\nI love You, Lord\nOh Your mercy never fails me'
+    }]
+  }]);
+
+  assert.strictEqual(report.status, 'ok');
+  assert.deepStrictEqual(slides, [
+    ['Praise Song', 'Way Maker'],
+    ['You are here, moving in our midst'],
+    ['Way maker, miracle worker'],
+    ['Praise Song', 'Goodness of God'],
+    ['I love You, Lord\nOh Your mercy never fails me']
+  ]);
+});
+
+test('songs from several emails come in the order they were sent', () => {
+  const { slides } = buildWithThreads([
+    {
+      subject: 'Re: Praise lyrics',
+      messages: [
+        { date: new Date(2026, 9, 20, 8, 0), plainBody: 'Goodness of God\n\nI love You, Lord' },
+        { date: new Date(2026, 9, 20, 9, 0), plainBody: 'Thanks, got it!' }
+      ]
+    },
+    {
+      subject: 'Praise lyrics for this Sabbath',
+      messages: [{ date: new Date(2026, 9, 19, 20, 15), body: readFixture('gmail/praise-divs.html') }]
+    }
+  ]);
+
+  assert.deepStrictEqual(slides.map(shapes => shapes.length === 2 ? shapes[1] : shapes[0].split('\n')[0]), [
+    'Come, Thou Fount of Every Blessing',
+    'Come, Thou Fount of every blessing,',
+    'Here I raise my Ebenezer;',
+    'Goodness of God',
+    'I love You, Lord'
+  ]);
+});
+
+test('a song sent again replaces the earlier copy', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), {
+    threads: [{
+      subject: 'Praise lyrics',
+      messages: [
+        { date: new Date(2026, 9, 19), plainBody: 'Title: Way Maker\nYou are here' },
+        { date: new Date(2026, 9, 20), plainBody: 'Title: Way Maker\nYou are here, moving in our midst' }
+      ]
+    }]
+  }));
+
+  const praise = harness.callPlain('searchGmailForPraiseLyrics');
+
+  assert.deepStrictEqual(praise.songs.map(song => [song.title, song.lyrics]), [
+    ['Way Maker', ['You are here, moving in our midst']]
+  ]);
+});
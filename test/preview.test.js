@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+test('the preview matches the deck a real build produces, without copying', () => {
+  const previewHarness = createHarness(serviceOptions());
+  const plan = previewHarness.callPlain('previewHymnsSlides');
+
+  assert.strictEqual(previewHarness.DriveApp.listFiles('10/24/2026').length, 0, 'no copy is made');
+
+  const buildHarness = createHarness(serviceOptions());
+  buildHarness.call('createHymnsSlides');
+  const deck = buildHarness.createdPresentation('10/24/2026');
+
+  assert.strictEqual(plan.presentationName, '10/24/2026');
+  assert.deepStrictEqual(
+    plan.slides.map(slide => slide.shapes.map(shape => shape.text.trim())),
+    deck.slideTexts()
+  );
+  assert.deepStrictEqual(plan.unfilled, []);
+});
+
+test('the plan lists slide font sizes and the template slide each came from', () => {
+  const harness = createHarness(serviceOptions());
+  const plan = harness.callPlain('previewHymnsSlides');
+
+  const firstVerse = plan.slides[2];
+  assert.strictEqual(firstVerse.templateSlide, 3);
+  assert.strictEqual(firstVerse.shapes[0].fontSize, 60);
+  assert.strictEqual(plan.slides[3].templateSlide, 3, 'duplicated verse slides point at the lyrics template');
+  assert.strictEqual(plan.slides[1].shapes[0].fontSize, 18, 'untouched shapes keep the template size');
+});
+
+test('the plan lists every replaced placeholder with its value', () => {
+  const harness = createHarness(serviceOptions());
+  const plan = harness.callPlain('previewHymnsSlides');
+
+  const replaced = plan.replacements.map(item => [item.slide, item.placeholder, item.value]);
+  assert.deepStrictEqual(replaced.slice(0, 3), [
+    [1, '{{this_week_date}}', '10/24/2026'],
+    [2, '{{opening}}', 'Blessed Assurance'],
+    [3, '{{opening_lyrics}}', 'Blessed assurance, Jesus is mine!\nO what a foretaste of glory divine!\n' +
+      'Heir of salvation, purchase of God,\nBorn of His Spirit, washed in His blood.']
+  ]);
+  assert.ok(replaced.some(([, placeholder, value]) => placeholder === '{{speaker}}' && value === 'Pastor James Cho'));
+  assert.ok(replaced.some(([, placeholder, value]) => placeholder === '{{reading}}' && value === 'Grace Kim'));
+});
+
+test('placeholders that would stay in the deck are reported and logged', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), { threads: [] }));
+  const plan = harness.callPlain('previewHymnsSlides');
+
+  assert.deepStrictEqual(plan.unfilled.map(item => [item.slide, item.placeholder]), [
+    [8, '{{praise_song}}'],
+    [9, '{{praise_lyrics}}']
+  ]);
+
+  const summary = harness.Logger.lines.find(line => line.startsWith('Preview of 10/24/2026'));
+  assert.match(summary, /^Slide 2: Opening Hymn \(18pt\) \| Blessed Assurance \(18pt\)$/m);
+  assert.match(summary, /^Placeholders left unfilled:\n {2}Slide 8 \{\{praise_song\}\}\n {2}Slide 9 \{\{praise_lyrics\}\}$/m);
+});
+
+test('the preview keeps its warnings and leaves the lyrics cache alone', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), { threads: [] }));
+  const plan = harness.callPlain('previewHymnsSlides');
+
+  assert.ok(plan.warnings.some(message => message.startsWith('No praise lyrics email found')));
+  assert.match(harness.Logger.lines.find(line => line.startsWith('Preview of 10/24/2026')), /^Warnings:\n {2}No praise lyrics email found/m);
+  assert.ok(!Array.from(harness.DriveApp.files.values()).some(file => file.name === 'Lyrics Cache.json'));
+  assert.strictEqual(harness.PropertiesService.getScriptProperties().getProperty('LYRICS_CACHE_FILE_ID'), null);
+});
+
+test('the preview reads a lyrics cache named in the Settings sheet', () => {
+  const firstRun = createHarness(serviceOptions());
+  firstRun.call('createHymnsSlides');
+  const cacheId = firstRun.PropertiesService.getScriptProperties().getProperty('LYRICS_CACHE_FILE_ID');
+  const content = firstRun.DriveApp.getFileById(cacheId).getBlob().getDataAsString();
+
+  const options = Object.assign(serviceOptions(), { routes: {} });
+  options.sheets.Settings = [['Key', 'Value'], ['LYRICS_CACHE_FILE_ID', 'lyrics-cache']];
+  const harness = createHarness(options);
+  harness.DriveApp.addFile({ id: 'lyrics-cache', name: 'Lyrics Cache.json', content });
+
+  const plan = harness.callPlain('previewHymnsSlides');
+
+  assert.deepStrictEqual(plan.slides[1].shapes.map(shape => shape.text), ['Opening Hymn', 'Blessed Assurance']);
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 0);
+});
+
+test('a preview that fails returns and logs why', () => {
+  const options = serviceOptions();
+  options.sheets.Settings = [['Key', 'Value'], ['TEMPLATE_ID', 'deleted-template']];
+  const harness = createHarness(options);
+
+  const result = harness.callPlain('previewHymnsSlides');
+
+  assert.deepStrictEqual(result, {
+    errors: ['Settings error: TEMPLATE_ID deleted-template is not a file this script can open'],
+    warnings: []
+  });
+  assert.ok(harness.Logger.lines.includes(
+    'Preview failed:\n  Settings error: TEMPLATE_ID deleted-template is not a file this script can open'));
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function run(overrides) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  const report = harness.callPlain('createHymnsSlides');
+  return { harness, report };
+}
+
+test('a clean build reports ok with the new presentation', () => {
+  const { harness, report } = run();
+
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(report.serviceDate, '10/24/2026');
+  assert.strictEqual(report.presentationId, harness.createdPresentation('10/24/2026').getId());
+  assert.deepStrictEqual(report.warnings, []);
+  assert.deepStrictEqual(report.errors, []);
+  assert.deepStrictEqual(report.unfilledPlaceholders, []);
+});
+
+test('missing lyrics and scripture are recorded by stage', () => {
+  const options = serviceOptions();
+  delete options.routes['https://www.biblegateway.com/passage/?search=Romans%208%3A28&version=NIV'];
+  const { report } = run({ routes: options.routes, threads: [] });
+
+  assert.strictEqual(report.status, 'warnings');
+  assert.deepStrictEqual(report.warnings.map(item => [item.stage, item.message]), [
+    ['scripture', 'Could not fetch scripture for Romans 8:28'],
+    ['gmail', 'No praise lyrics email found'],
+    ['template', 'Unfilled placeholder {{praise_song}} on slide 8'],
+    ['template', 'Unfilled placeholder {{praise_lyrics}} on slide 9']
+  ]);
+  assert.deepStrictEqual(report.unfilledPlaceholders, [
+    { slide: 8, placeholder: '{{praise_song}}' },
+    { slide: 9, placeholder: '{{praise_lyrics}}' }
+  ]);
+});
+
+test('empty schedule cells are reported once per placeholder', () => {
+  const options = serviceOptions();
+  options.sheets['Sabbath Schedule 2026'][3][4] = '';
+  const { report } = run(options);
+
+  assert.deepStrictEqual(report.warnings, [
+    { stage: 'sheet', message: '{{story}} was filled with an empty value' }
+  ]);
+});
+
+test('a week missing from the schedule fails with a sheet error', () => {
+  const { harness, report } = run({ now: new Date(2026, 11, 1) });
+
+  assert.strictEqual(report.status, 'failed');
+  assert.deepStrictEqual(report.errors, [
+    { stage: 'sheet', message: 'No row for 12/05/2026 in "Sabbath Schedule 2026"' }
+  ]);
+  assert.strictEqual(report.presentationId, null);
+  assert.strictEqual(harness.DriveApp.listFiles('12/05/2026').length, 0);
+});
+
+test('the report is logged as a readable summary and as JSON', () => {
+  const { harness } = run({ threads: [] });
+
+  const summary = harness.Logger.lines.find(line => line.startsWith('createHymnsSlides: '));
+  assert.strictEqual(summary.split('\n').slice(0, 2).join('\n'), 'createHymnsSlides: WARNINGS\nService date: 10/24/2026');
+  assert.match(summary, /^Warnings:\n {2}\[gmail\] No praise lyrics email found\n {2}\[template\] Unfilled placeholder/m);
+
+  const json = JSON.parse(harness.Logger.lines.find(line => line.startsWith('{')));
+  assert.strictEqual(json.status, 'warnings');
+  assert.strictEqual(json.warnings.length, 3);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function triggerSummary(harness) {
+  return harness.ScriptApp.triggers.map(trigger => [trigger.getHandlerFunction(), trigger.weekDay, trigger.hour]);
+}
+
+test('installing registers the weekly build and retry triggers once', () => {
+  const harness = createHarness(serviceOptions());
+  harness.ScriptApp.newTrigger('somethingElse').timeBased().onWeekDay('MONDAY').atHour(1).create();
+
+  harness.call('installTriggers');
+  harness.call('installTriggers');
+
+  assert.deepStrictEqual(triggerSummary(harness), [
+    ['somethingElse', 'MONDAY', 1],
+    ['createAllServicesSlides', 'TUESDAY', 9],
+    ['retryHymnsSlides', 'FRIDAY', 9]
+  ]);
+
+  assert.strictEqual(harness.call('uninstallTriggers'), 2);
+  assert.deepStrictEqual(triggerSummary(harness), [['somethingElse', 'MONDAY', 1]]);
+});
+
+test('the retry trigger is optional', () => {
+  const harness = createHarness(serviceOptions());
+  harness.evaluate("CONFIG.RETRY_TRIGGER_DAY = ''");
+  harness.call('installTriggers');
+
+  assert.deepStrictEqual(triggerSummary(harness), [['createAllServicesSlides', 'TUESDAY', 9]]);
+});
+
+test('a rerun regenerates the existing deck in place', () => {
+  const harness = createHarness(serviceOptions());
+  harness.DriveApp.addFolder({ id: 'decks', name: 'Weekly Slides' });
+  harness.evaluate("CONFIG.OUTPUT_FOLDER_ID = 'decks'");
+
+  const first = harness.callPlain('createHymnsSlides');
+  const firstTexts = harness.createdPresentation('10/24/2026').slideTexts();
+  const second = harness.callPlain('createHymnsSlides');
+
+  const decks = harness.DriveApp.listFiles('10/24/2026');
+  assert.strictEqual(decks.length, 1);
+  assert.strictEqual(decks[0].getParents().next().getId(), 'decks');
+  assert.strictEqual(second.presentationId, first.presentationId);
+  assert.strictEqual(second.status, 'ok');
+  assert.deepStrictEqual(harness.createdPresentation('10/24/2026').slideTexts(), firstTexts);
+});
+
+test('with the archive policy a rerun moves the old deck aside', () => {
+  const harness = createHarness(serviceOptions());
+  harness.evaluate("CONFIG.RERUN_POLICY = 'archive'");
+
+  const first = harness.callPlain('createHymnsSlides');
+  const second = harness.callPlain('createHymnsSlides');
+
+  assert.notStrictEqual(second.presentationId, first.presentationId);
+  assert.strictEqual(harness.DriveApp.listFiles('10/24/2026')[0].getId(), second.presentationId);
+
+  const archived = harness.DriveApp.getFileById(first.presentationId);
+  assert.strictEqual(archived.getName(), '10/24/2026 (archived 2026-10-20 09:00)');
+  assert.strictEqual(archived.getParents().next().getName(), 'Archive');
+});
+
+test('a deck in the trash is left there and a new one is made', () => {
+  const harness = createHarness(serviceOptions());
+
+  const first = harness.callPlain('createHymnsSlides');
+  harness.DriveApp.getFileById(first.presentationId).setTrashed(true);
+  const second = harness.callPlain('createHymnsSlides');
+
+  assert.notStrictEqual(second.presentationId, first.presentationId);
+  const trashed = harness.DriveApp.getFileById(first.presentationId);
+  assert.strictEqual(trashed.getName(), '10/24/2026');
+  assert.strictEqual(trashed.isTrashed(), true);
+});
+
+test('a retry on the service day rebuilds that day\'s deck', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), { now: new Date(2026, 9, 24, 7, 0) }));
+
+  const retried = harness.callPlain('retryHymnsSlides');
+
+  assert.deepStrictEqual(retried.map(report => report.serviceDate), ['10/24/2026']);
+  assert.ok(harness.createdPresentation('10/24/2026'));
+  assert.strictEqual(JSON.parse(harness.PropertiesService.getScriptProperties().getProperty('LAST_BUILD:sabbath')).serviceDate,
+    '10/24/2026');
+});
+
+test('the retry rebuilds only when the last build was not clean', () => {
+  const harness = createHarness(Object.assign(serviceOptions(), { threads: [] }));
+
+  harness.call('createHymnsSlides');
+  const retried = harness.callPlain('retryHymnsSlides');
+  assert.deepStrictEqual(retried.map(report => report.status), ['warnings']);
+
+  harness.evaluate("PropertiesService.getScriptProperties().setProperty('LAST_BUILD:sabbath', " +
+    "JSON.stringify({ serviceDate: '10/24/2026', status: 'ok' }))");
+  assert.deepStrictEqual(harness.callPlain('retryHymnsSlides'), []);
+  assert.ok(harness.Logger.lines.includes('Deck for sabbath on 10/24/2026 already built cleanly, skipping retry'));
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+const LOCAL_JSON = JSON.stringify({
+  KJV: {
+    John: {
+      3: {
+        16: 'For God so loved the world, that he gave his only begotten Son.',
+        17: 'For God sent not his Son into the world to condemn the world.'
+      }
+    },
+    Ps: { 23: ['The LORD is my shepherd; I shall not want.', 'He maketh me to lie down in green pastures.'] }
+  }
+});
+
+const LOCAL_CSV = [
+  'version,book,chapter,verse,text',
+  'WEB,Rom,8,28,"We know that all things work together for good for those who love God."',
+  ',Rom,8,29,"For whom he foreknew, he also predestined."'
+].join('\n');
+
+function withLocalBible(content, overrides) {
+  const harness = createHarness(Object.assign(serviceOptions(), overrides));
+  harness.DriveApp.addFile({ id: 'local-bible', name: 'bible.json', content });
+  harness.evaluate("CONFIG.LOCAL_BIBLE_FILE_ID = 'local-bible'");
+  return harness;
+}
+
+test('the Bible Gateway scraper answers first when the site is up', () => {
+  const harness = withLocalBible(LOCAL_JSON);
+
+  const scripture = harness.callPlain('fetchScriptureContent', 'John 3:16-17');
+
+  assert.strictEqual(scripture.version, 'NIV');
+  assert.match(scripture.readings[0].verses[0].text, /that whosoever believeth in him/);
+});
+
+test('falls back to the local Bible when the scraper comes back empty', () => {
+  const harness = withLocalBible(LOCAL_JSON, { routes: {} });
+  const report = harness.call('createRunReport', 'test');
+
+  const scripture = harness.call('fetchScriptureContent', 'John 3:16-17, Psalm 23:1-2', report);
+
+  assert.strictEqual(scripture.version, 'KJV');
+  assert.strictEqual(scripture.passage, '16 For God so loved the world, that he gave his only begotten Son. ' +
+    '17 For God sent not his Son into the world to condemn the world. ' +
+    '1 The LORD is my shepherd; I shall not want. 2 He maketh me to lie down in green pastures.');
+  assert.ok(report.warnings.some(item => item.message === 'Used the local KJV for John 3:16-17: NIV could not be fetched'));
+});
+
+test('the local Bible can come first and be read from CSV', () => {
+  const harness = withLocalBible(LOCAL_CSV);
+  harness.evaluate("CONFIG.SCRIPTURE_PROVIDERS = ['localBible', 'biblegateway']");
+  harness.evaluate("CONFIG.LOCAL_BIBLE_VERSION = 'WEB'");
+
+  const scripture = harness.callPlain('fetchScriptureContent', 'Romans 8:28-29 (WEB)');
+
+  assert.deepStrictEqual(scripture.readings[0].verses.map(verse => verse.number), ['28', '29']);
+  assert.strictEqual(scripture.version, 'WEB');
+  assert.deepStrictEqual(harness.UrlFetchApp.requests, []);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function parse(harness, reading) {
+  const parsed = harness.callPlain('parseScriptureReading', reading, 'NIV');
+  return { references: parsed.references.map(item => item.reference), errors: parsed.errors };
+}
+
+test('books, abbreviations and ranges are written out canonically', () => {
+  const harness = createHarness(serviceOptions());
+
+  assert.deepStrictEqual(parse(harness, 'Jn 3 16; 1Cor 13, I Thess. 4:13–18, Ps 23'), {
+    references: ['John 3:16', '1 Corinthians 13', '1 Thessalonians 4:13-18', 'Psalm 23'],
+    errors: []
+  });
+  assert.deepStrictEqual(parse(harness, 'rom 8:28-9:5; psalms 1-2; Jude 3').references,
+    ['Romans 8:28-9:5', 'Psalms 1-2', 'Jude 1:3']);
+});
+
+test('a reference without a book carries on from the one before', () => {
+  const harness = createHarness(serviceOptions());
+
+  assert.deepStrictEqual(parse(harness, 'John 3:16, 18-19; 4:1, Isaiah 53, 55').references,
+    ['John 3:16', 'John 3:18-19', 'John 4:1', 'Isaiah 53', 'Isaiah 55']);
+});
+
+test('invalid references are reported and never fetched', () => {
+  const harness = createHarness(serviceOptions());
+
+  assert.deepStrictEqual(parse(harness, 'Romans 8:28-, Jo 3, Hezekiah 1, John 22, John 3:17-16, 5').errors, [
+    '"Romans 8:28-" is not a valid scripture reference: the range has no end',
+    '"Jo 3" is not a valid scripture reference: "Jo" could be Joshua or Job or Joel or Jonah or John',
+    '"Hezekiah 1" is not a valid scripture reference: there is no book called "Hezekiah"',
+    '"John 22" is not a valid scripture reference: John has 21 chapters',
+    '"John 3:17-16" is not a valid scripture reference: the range ends before it starts',
+    '"5" is not a valid scripture reference: no book is given'
+  ]);
+
+  const report = harness.call('createRunReport', 'test');
+  const scripture = harness.call('fetchScriptureContent', 'Romans 8:28-, John 3:16-17', report);
+  assert.strictEqual(scripture.verse, 'John 3:16-17');
+  assert.deepStrictEqual(harness.UrlFetchApp.requests.map(request => request.url),
+    ['https://www.biblegateway.com/passage/?search=John%203%3A16-17&version=NIV']);
+  assert.ok(report.warnings.some(item => item.message.startsWith('"Romans 8:28-" is not a valid')));
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function buildWithScriptureSlide(versesPerSlide) {
+  const options = serviceOptions();
+  options.template.splice(7, 0, {
+    shapes: [{ text: '{{scripture_reference}} ({{verse}})' }, { text: '{{scripture_text}}', width: 960, height: 405 }]
+  });
+  const harness = createHarness(options);
+  if (versesPerSlide !== undefined) {
+    harness.evaluate('CONFIG.SCRIPTURE_VERSES_PER_SLIDE = ' + versesPerSlide);
+  }
+  const report = harness.callPlain('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+  const start = texts.findIndex(shapes => shapes[0].endsWith('(John 3:16-17, Romans 8:28)'));
+  return { report, texts, start };
+}
+
+test('each reading is kept as numbered verses', () => {
+  const harness = createHarness(serviceOptions());
+  const scripture = harness.callPlain('fetchScriptureContent', 'John 3:16-17, Romans 8:28');
+
+  assert.deepStrictEqual(scripture.readings.map(reading => [reading.reference, reading.verses.map(verse => verse.number)]), [
+    ['John 3:16-17', ['16', '17']],
+    ['Romans 8:28', ['28']]
+  ]);
+  assert.match(scripture.readings[0].verses[1].text, /^For God sent not his Son .* might be saved\.$/);
+  assert.match(scripture.passage, /^16 For God so loved .* 17 For God sent .* 28 And we know /);
+});
+
+test('the scripture slide is copied per reading with its reference', () => {
+  const { report, texts, start } = buildWithScriptureSlide();
+
+  assert.strictEqual(report.status, 'ok');
+  // John 3:16-17 is too long for one slide at the minimum size, so it continues on a copy
+  assert.deepStrictEqual(texts.slice(start, start + 3).map(shapes => shapes[0]), [
+    'John 3:16-17 (John 3:16-17, Romans 8:28)',
+    'John 3:16-17 (John 3:16-17, Romans 8:28)',
+    'Romans 8:28 (John 3:16-17, Romans 8:28)'
+  ]);
+  assert.match(texts[start][1], /^16 For God so loved .* 17 For God sent not his Son/);
+  assert.match(texts[start + 1][1], /^but that the world through him might be saved\.$/);
+  assert.match(texts[start + 2][1], /^28 And we know/);
+  assert.ok(!texts.flat().some(text => text.includes('{{scripture')));
+});
+
+test('a verse count per slide splits a reading with narrowed references', () => {
+  const { texts, start } = buildWithScriptureSlide(1);
+
+  assert.deepStrictEqual(texts.slice(start, start + 3).map(shapes => shapes[0].split(' (')[0]), [
+    'John 3:16',
+    'John 3:17',
+    'Romans 8:28'
+  ]);
+  assert.match(texts[start + 1][1], /^17 For God sent not his Son/);
+});
+
+test('passages cached as plain text still fill the slides', () => {
+  const harness = createHarness(serviceOptions());
+  harness.DriveApp.addFile({
+    id: 'lyrics-cache',
+    name: 'Lyrics Cache.json',
+    content: JSON.stringify({
+      'scripture:NIV:psalm 23:1': { storedAt: new Date(2026, 9, 1).toISOString(), pinned: true, value: '1 The Lord is my shepherd' }
+    })
+  });
+  harness.PropertiesService.getScriptProperties().setProperty('LYRICS_CACHE_FILE_ID', 'lyrics-cache');
+
+  const scripture = harness.callPlain('fetchScriptureContent', 'Psalm 23:1');
+
+  assert.deepStrictEqual(scripture.readings, [
+    {
+      reference: 'Psalm 23:1',
+      version: 'NIV',
+      verses: [{ number: '', text: '1 The Lord is my shepherd' }],
+      book: 'Psalm',
+      chapter: 23,
+      endChapter: 23
+    }
+  ]);
+  assert.strictEqual(scripture.passage, '1 The Lord is my shepherd');
+});
+
+test('an inline version overrides the column, which overrides the default', () => {
+  const options = serviceOptions();
+  options.routes['https://www.biblegateway.com/passage/?search=John%203%3A16-17&version=KJV'] =
+    { fixture: 'biblegateway/john-3-16-17.html' };
+  options.routes['https://www.biblegateway.com/passage/?search=Romans%208%3A28&version=ESV'] =
+    { fixture: 'biblegateway/romans-8-28.html' };
+  const harness = createHarness(options);
+
+  const scripture = harness.callPlain('fetchScriptureContent', 'John 3:16-17 (kjv), Romans 8:28', undefined, 'esv');
+
+  assert.deepStrictEqual(scripture.readings.map(reading => [reading.reference, reading.version]), [
+    ['John 3:16-17', 'KJV'],
+    ['Romans 8:28', 'ESV']
+  ]);
+  assert.strictEqual(scripture.verse, 'John 3:16-17, Romans 8:28');
+  assert.strictEqual(scripture.version, 'KJV, ESV');
+});
+
+test('the Bible Version column fills {{version}} and {{scripture_version}}', () => {
+  const options = serviceOptions();
+  options.sheets['Sabbath Schedule 2026'].forEach((row, index) => row.push(index === 1 ? 'Bible Version' : 'NKJV'));
+  options.routes = Object.assign({}, options.routes, {
+    'https://www.biblegateway.com/passage/?search=John%203%3A16-17&version=NKJV':
+      { fixture: 'biblegateway/john-3-16-17.html' },
+    'https://www.biblegateway.com/passage/?search=Romans%208%3A28&version=NKJV':
+      { fixture: 'biblegateway/romans-8-28.html' }
+  });
+  options.template.splice(7, 0, {
+    shapes: [{ text: '{{scripture_reference}} {{scripture_version}}' }, { text: '{{scripture_text}}', width: 960, height: 405 },
+      { text: 'Scripture taken from the {{version}}' }]
+  });
+  const harness = createHarness(options);
+  const report = harness.callPlain('createHymnsSlides');
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+
+  assert.strictEqual(report.status, 'ok');
+  assert.ok(texts.some(shapes => shapes[0] === 'John 3:16-17 NKJV' && shapes[2] === 'Scripture taken from the NKJV'));
+  assert.ok(texts.some(shapes => shapes[0] === 'Romans 8:28 NKJV'));
+});
+
+test('a Bible Version that is not an abbreviation is reported', () => {
+  const harness = createHarness(serviceOptions());
+  const report = harness.call('createRunReport', 'test');
+
+  const scripture = JSON.parse(JSON.stringify(harness.call('fetchScriptureContent', 'Romans 8:28', report, 'New King James')));
+
+  assert.strictEqual(scripture.version, 'NIV');
+  assert.deepStrictEqual(Array.from(report.warnings, item => item.message),
+    ['Bible version "New King James" is not a version abbreviation such as NKJV; using NIV']);
+});
+
+test('a chapter reading is narrowed to the verses of each copy', () => {
+  const harness = createHarness(serviceOptions());
+  const verses = ['1', '2', '3', '4'].map(number => ({ number: number, text: number + ' verse' }));
+  const reading = { reference: 'Psalm 23', version: 'KJV', verses: verses, book: 'Psalm', chapter: 23, endChapter: 23 };
+
+  const chunks = harness.callPlain('chunkScriptureVerses', reading, 2);
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.reference), ['Psalm 23:1-2', 'Psalm 23:3-4']);
+});
+
+test('a reading across chapters keeps the chapter of each copy', () => {
+  const harness = createHarness(serviceOptions());
+  const verses = ['38', '39', '1', '2'].map(number => ({ number: number, text: number + ' verse' }));
+  const reading = { reference: 'Romans 8:38-9:2', version: 'KJV', verses: verses, book: 'Romans', chapter: 8, endChapter: 9 };
+
+  assert.deepStrictEqual(harness.callPlain('chunkScriptureVerses', reading, 2).map(chunk => chunk.reference),
+    ['Romans 8:38-39', 'Romans 9:1-2']);
+  assert.deepStrictEqual(harness.callPlain('chunkScriptureVerses', reading, 3).map(chunk => chunk.reference),
+    ['Romans 8:38-9:1', 'Romans 9:2']);
+  assert.deepStrictEqual(harness.callPlain('chunkScriptureVerses',
+    { reference: 'Psalms 1-2', verses: verses.slice(2).concat(verses.slice(2)), book: 'Psalm', chapter: 1, endChapter: 2 }, 2)
+    .map(chunk => chunk.reference), ['Psalm 1:1-2', 'Psalm 2:1-2']);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+const SERVICES = `[
+  { id: 'sabbath', name: 'Sabbath', weekday: 'Saturday', sheet: 'Sabbath Schedule' },
+  { id: 'prayer', name: 'Prayer Meeting', weekday: 'Wednesday', sheet: /^Prayer Meeting \\d{4}$/,
+    templateId: 'prayer-template', deckLabel: 'Prayer Meeting', sections: ['hymns', 'scripture'] }
+]`;
+
+function prayerMeetingHarness() {
+  const options = serviceOptions();
+  options.sheets['Prayer Meeting 2026'] = [
+    ['Prayer Meeting'],
+    ['Date', 'Opening Hymn', 'Scripture Reading', 'Closing Hymn'],
+    [new Date(2026, 9, 21), '108', 'Romans 8:28', '']
+  ];
+  const harness = createHarness(options);
+  harness.DriveApp.addPresentation('prayer-template', 'Prayer Meeting Template', [
+    { shapes: [{ text: 'Prayer Meeting' }] },
+    { shapes: [{ text: 'Opening Hymn' }, { text: '{{opening}}' }] },
+    { shapes: [{ text: '{{opening_lyrics}}', height: 400 }] },
+    { shapes: [{ text: '{{verse}}' }] },
+    { shapes: [{ text: '{{passage}}', height: 400 }] },
+    { shapes: [{ text: 'Closing Hymn' }, { text: '{{closing}}' }] },
+    { shapes: [{ text: '{{closing_lyrics}}', height: 400 }] }
+  ]);
+  harness.evaluate('CONFIG.SERVICES = ' + SERVICES);
+  return harness;
+}
+
+test('a weekday service uses its own day, sheet, template and sections', () => {
+  const harness = prayerMeetingHarness();
+  const report = harness.callPlain('createHymnsSlides', 'prayer');
+
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(report.service, 'prayer');
+  assert.strictEqual(report.serviceDate, '10/21/2026');
+  assert.strictEqual(report.deckName, '10/21/2026 Prayer Meeting');
+  assert.strictEqual(harness.GmailApp.queries.length, 0, 'praise lyrics are not searched for');
+
+  const texts = harness.createdPresentation('10/21/2026 Prayer Meeting').slideTexts();
+  assert.deepStrictEqual(texts.slice(0, 2), [['Prayer Meeting'], ['Opening Hymn', 'Amazing Grace']]);
+  assert.match(texts[texts.length - 1][0], /^28 And we know that all things work together/);
+  assert.ok(!texts.flat().some(text => text.includes('{{')));
+});
+
+test('every service gets its next deck', () => {
+  const harness = prayerMeetingHarness();
+  const reports = harness.callPlain('createAllServicesSlides');
+
+  assert.deepStrictEqual(reports.map(report => [report.deckName, report.status]), [
+    ['10/24/2026', 'ok'],
+    ['10/21/2026 Prayer Meeting', 'ok']
+  ]);
+});
+
+test('a Sunday service is built for the coming Sunday', () => {
+  const options = serviceOptions();
+  const rows = options.sheets['Sabbath Schedule 2026'];
+  options.sheets = { 'Sunday Schedule 2026': rows.concat([rows[3].slice()]) };
+  options.sheets['Sunday Schedule 2026'][4][0] = new Date(2026, 9, 25);
+  const harness = createHarness(options);
+  harness.evaluate("CONFIG.SERVICES = [{ id: 'sunday', weekday: 'Sunday', sheet: 'Sunday Schedule', sections: ['hymns'] }]");
+
+  const report = harness.callPlain('createHymnsSlides');
+  assert.strictEqual(report.serviceDate, '10/25/2026');
+  assert.strictEqual(report.presentationId, harness.createdPresentation('10/25/2026').getId());
+});
+
+test('an unknown service builds nothing', () => {
+  const harness = prayerMeetingHarness();
+
+  assert.strictEqual(harness.call('createHymnsSlides', 'vespers'), null);
+  assert.ok(harness.Logger.lines.includes('Unknown service: vespers'));
+});
+
+test('the SERVICES setting can give a sheet pattern, which is checked', () => {
+  const prayer = { id: 'prayer', weekday: 'Wednesday', sheetPattern: '^Prayer Meeting \\d{4}$',
+    templateId: 'prayer-template', sections: ['hymns', 'scripture'] };
+  const harness = prayerMeetingHarness();
+  harness.PropertiesService.getScriptProperties().setProperty('SERVICES', JSON.stringify([prayer]));
+
+  const report = harness.callPlain('createHymnsSlides', 'prayer');
+  assert.strictEqual(report.status, 'ok');
+  assert.ok(harness.createdPresentation('10/21/2026'));
+
+  const checked = prayerMeetingHarness();
+  checked.PropertiesService.getScriptProperties().setProperty('SERVICES', JSON.stringify([
+    prayer,
+    { id: 'vespers', weekday: 'Friday', sheetPattern: '^Vespers (' },
+    { id: 'youth', weekday: 'Friday', sheet: 'Youth Schedule' }
+  ]));
+  const result = checked.callPlain('validateSettings');
+  assert.deepStrictEqual(result.errors.map(message => message.split(':')[0]), ['Service vespers has an invalid sheetPattern']);
+  assert.deepStrictEqual(result.warnings, ['No sheet in the spreadsheet matches the sheet Youth Schedule of service youth']);
+});
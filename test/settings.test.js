@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function harnessWithSettings(settingsRows, properties) {
+  const options = serviceOptions();
+  options.sheets.Settings = [['Key', 'Value']].concat(settingsRows);
+  options.properties = properties;
+  return createHarness(options);
+}
+
+test('values in the Settings sheet replace the CONFIG defaults', () => {
+  const options = serviceOptions();
+  options.sheets['Sabbath Schedule 2026'][1][1] = 'Hymn of Praise';
+  options.sheets.Settings = [
+    ['Key', 'Value'],
+    ['# Changed for the fall quarter', ''],
+    ['BIBLE_VERSION', 'KJV'],
+    ['DEFAULT_FONT_SIZE', 56],
+    ['COLUMNS.OPENING_HYMN', 'Hymn of Praise'],
+    ['PRAISE_SUBJECTS', 'praise lyrics, song list']
+  ];
+  options.routes['https://www.biblegateway.com/passage/?search=John%203%3A16-17&version=KJV'] =
+    { fixture: 'biblegateway/john-3-16-17.html' };
+  options.routes['https://www.biblegateway.com/passage/?search=Romans%208%3A28&version=KJV'] =
+    { fixture: 'biblegateway/romans-8-28.html' };
+  const harness = createHarness(options);
+
+  const report = harness.callPlain('createHymnsSlides');
+
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(harness.evaluate('CONFIG.DEFAULT_FONT_SIZE'), 56);
+  assert.deepStrictEqual(report.hymns.map(hymn => hymn.label), ['Hymn of Praise', 'Closing Hymn']);
+  assert.ok(harness.UrlFetchApp.requests.some(request => request.url.endsWith('&version=KJV')));
+  assert.match(harness.GmailApp.queries[0], /\(subject:\(praise lyrics\) OR subject:\(song list\)\)$/);
+});
+
+test('Script Properties win over the Settings sheet', () => {
+  const harness = harnessWithSettings([['HYMNAL', 'sda-1941']], { HYMNAL: 'sda', LYRICS_CACHE_TTL_DAYS: '30' });
+  const settings = harness.callPlain('loadSettings');
+
+  assert.deepStrictEqual(settings.sources, { HYMNAL: 'properties', LYRICS_CACHE_TTL_DAYS: 'properties' });
+  assert.strictEqual(harness.evaluate('CONFIG.HYMNAL'), 'sda');
+  assert.strictEqual(harness.evaluate('CONFIG.LYRICS_CACHE_TTL_DAYS'), 30);
+});
+
+test('bad values keep their defaults and unknown keys are reported', () => {
+  const harness = harnessWithSettings([
+    ['MIN_FONT_SIZE', 'large'],
+    ['RERUN_POLICY', 'overwrite'],
+    ['SERVICES', '{ "id": "sabbath" }'],
+    ['BIBEL_VERSION', 'KJV']
+  ]);
+  const report = harness.callPlain('createHymnsSlides');
+
+  assert.strictEqual(report.status, 'warnings');
+  assert.strictEqual(harness.evaluate('CONFIG.MIN_FONT_SIZE'), 50);
+  assert.strictEqual(harness.evaluate('CONFIG.RERUN_POLICY'), 'regenerate');
+  assert.deepStrictEqual(report.warnings.map(item => [item.stage, item.message]), [
+    ['settings', 'Setting MIN_FONT_SIZE must be a number, not "large", using the default'],
+    ['settings', 'Setting RERUN_POLICY must be one of regenerate, archive, not "overwrite", using the default'],
+    ['settings', 'Setting SERVICES must be a JSON list, using the default'],
+    ['settings', 'Unknown setting BIBEL_VERSION in the sheet']
+  ]);
+});
+
+test('unknown Script Properties are reported, but not the script\'s own', () => {
+  const harness = harnessWithSettings([], {
+    BIBLE_VERSON: 'KJV',
+    'LAST_BUILD:sabbath': '{}',
+    PRAISE_MESSAGES_USED: '{}',
+    LYRICS_CACHE_FILE_ID: 'lyrics-cache'
+  });
+
+  assert.deepStrictEqual(harness.callPlain('validateSettings').warnings, ['Unknown setting BIBLE_VERSON in the properties']);
+  assert.strictEqual(harness.evaluate('CONFIG.LYRICS_CACHE_FILE_ID'), '');
+});
+
+test('a missing template stops the build before it starts', () => {
+  const harness = harnessWithSettings([['TEMPLATE_ID', 'deleted-template']]);
+  const report = harness.callPlain('createHymnsSlides');
+
+  assert.strictEqual(report.status, 'failed');
+  assert.deepStrictEqual(report.errors, [
+    { stage: 'settings', message: 'TEMPLATE_ID deleted-template is not a file this script can open' }
+  ]);
+  assert.strictEqual(report.serviceDate, null);
+  assert.strictEqual(harness.UrlFetchApp.requests.length, 0);
+});
+
+test('checkSettings logs where each setting came from', () => {
+  const harness = harnessWithSettings([['BIBLE_VERSION', 'ESV'], ['OUTPUT_FOLDER_ID', 'gone']]);
+  harness.call('checkSettings');
+
+  const summary = harness.Logger.lines.find(line => line.startsWith('Settings: '));
+  assert.strictEqual(summary, [
+    'Settings: ERRORS',
+    '  BIBLE_VERSION from the sheet',
+    '  OUTPUT_FOLDER_ID from the sheet',
+    '  Error: OUTPUT_FOLDER_ID gone is not a folder this script can open'
+  ].join('\n'));
+});
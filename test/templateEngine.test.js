@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+function buildWithSlides(slideTexts, announcements) {
+  const options = serviceOptions();
+  const rows = options.sheets['Sabbath Schedule 2026'];
+  rows[1].push('Announcements');
+  rows[3][rows[1].length - 1] = announcements || '';
+  slideTexts.slice().reverse().forEach(text => options.template.splice(1, 0, { shapes: [{ text }] }));
+
+  const harness = createHarness(options);
+  const report = harness.callPlain('createHymnsSlides');
+  const deck = harness.createdPresentation('10/24/2026');
+  return { report, texts: deck.slideTexts().slice(1, 1 + slideTexts.length) };
+}
+
+test('filters change a value before it is placed', () => {
+  const { report, texts } = buildWithSlides([
+    '{{speaker|upper}} on {{this_week_date|format:"MMMM d"}}',
+    'News: {{announcements|default:"None"}}',
+    '{{sermon|lower|shout}}'
+  ]);
+
+  assert.deepStrictEqual(texts, [
+    ['PASTOR JAMES CHO on October 24'],
+    ['News: None'],
+    ['standing on the promises']
+  ]);
+  assert.ok(report.warnings.some(item => item.message === 'Unknown filter "shout" in {{sermon|lower|shout}}'));
+});
+
+test('filter arguments can be in the curly quotes Slides types', () => {
+  const { report, texts } = buildWithSlides([
+    'Sabbath, {{this_week_date|format:“MMMM d”}}',
+    'News: {{announcements|default:“TBA”}}'
+  ]);
+
+  assert.deepStrictEqual(texts, [['Sabbath, October 24'], ['News: TBA']]);
+  assert.ok(!report.warnings.some(item => item.message.startsWith('Unknown filter')));
+});
+
+test('conditional blocks drop their line when they render nothing', () => {
+  const text = "{{#if story}}Children's Story: {{story}}{{/if}}\n" +
+    '{{#if announcements}}News: {{announcements}}{{/if}}\n' +
+    '{{#unless announcements}}No news this week{{else}}See the bulletin{{/unless}}\n' +
+    '{{#if col:Nothing}}Never shown{{/if}}';
+
+  assert.deepStrictEqual(buildWithSlides([text]).texts,
+    [["Children's Story: Daniel Park\nNo news this week"]]);
+  assert.deepStrictEqual(buildWithSlides([text], 'Potluck').texts,
+    [["Children's Story: Daniel Park\nNews: Potluck\nSee the bulletin"]]);
+});
+
+test('a section marker removes its slide when the value is empty', () => {
+  const slides = ['{{#section announcements}}News: {{announcements}}', 'After'];
+
+  assert.deepStrictEqual(buildWithSlides(slides).texts.slice(0, 1), [['After']]);
+  assert.deepStrictEqual(buildWithSlides(slides, 'Potluck').texts, [['News: Potluck'], ['After']]);
+});
+
+test('an unclosed block is reported and its shape left alone', () => {
+  const { report, texts } = buildWithSlides(['{{#if story}}{{story}}']);
+
+  assert.deepStrictEqual(texts, [['{{#if story}}{{story}}']]);
+  assert.ok(report.warnings.some(item =>
+    item.message === 'Could not fill "{{#if story}}{{story}}": {{#if story}} is not closed'));
+});
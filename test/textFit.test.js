@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness } = require('./harness');
+const { serviceOptions } = require('./fixtures/service');
+
+test('wrapped lines are counted from the shape width', () => {
+  const harness = createHarness(serviceOptions());
+  const line = 'Blessed assurance, Jesus is mine!';
+
+  assert.strictEqual(harness.call('countWrappedLines', line, 50, 960), 1);
+  assert.strictEqual(harness.call('countWrappedLines', line, 50, 720), 2);
+  assert.strictEqual(harness.call('countWrappedLines', line + '\n' + line, 50, 400), 6);
+});
+
+test('text is split at sentences when one line is too long, then balanced', () => {
+  const harness = createHarness(serviceOptions());
+  const passage = 'In the beginning God created the heaven and the earth. ' +
+    'And the earth was without form, and void; and darkness was upon the face of the deep. ' +
+    'And the Spirit of God moved upon the face of the waters. And God said, Let there be light: and there was light.';
+
+  const parts = harness.callPlain('splitTextToFit', passage, 720, 400);
+
+  assert.deepStrictEqual(parts, [
+    'In the beginning God created the heaven and the earth. ' +
+      'And the earth was without form, and void; and darkness was upon the face of the deep.',
+    'And the Spirit of God moved upon the face of the waters. And God said, Let there be light: and there was light.'
+  ]);
+  assert.strictEqual(parts.join(' '), passage);
+});
+
+test('a four-line verse stays on one slide of a 16:9 lyrics box', () => {
+  const options = serviceOptions();
+  Object.assign(options.template[2].shapes[0], { width: 720, height: 405 });
+  const harness = createHarness(options);
+  harness.call('createHymnsSlides');
+
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+  assert.deepStrictEqual(texts[2], ['Blessed assurance, Jesus is mine!\nO what a foretaste of glory divine!\n' +
+    'Heir of salvation, purchase of God,\nBorn of His Spirit, washed in His blood.']);
+  assert.ok(texts[3][0].startsWith('[Refrain]:'));
+});
+
+test('a verse too long at the minimum size continues on a copy of its slide', () => {
+  const options = serviceOptions();
+  Object.assign(options.template[2].shapes[0], { width: 720, height: 300 });
+  const harness = createHarness(options);
+  harness.call('createHymnsSlides');
+
+  const texts = harness.createdPresentation('10/24/2026').slideTexts();
+  assert.deepStrictEqual(texts.slice(2, 4), [
+    ['Blessed assurance, Jesus is mine!\nO what a foretaste of glory divine!'],
+    ['Heir of salvation, purchase of God,\nBorn of His Spirit, washed in His blood.']
+  ]);
+  assert.ok(texts[4][0].startsWith('[Refrain]:'));
+});
@@ -0,0 +1,220 @@
+/**
+ * Text fit
+ * Estimates how text wraps in a shape from the shape's width and rough
+ * per-character widths, then picks the largest font size between
+ * CONFIG.MIN_FONT_SIZE and CONFIG.DEFAULT_FONT_SIZE at which the wrapped lines
+ * fit the shape's height. Text that doesn't fit even at the minimum size is
+ * split at line, then sentence, then word boundaries over copies of its slide,
+ * except lyrics typed line by line that still fit at CONFIG.LINE_SPACING times
+ * the minimum size per line, which were always kept whole.
+ */
+
+// Padding Slides puts inside each side of a text box, in points
+const TEXT_FIT_INSET = 7.2;
+
+// Height Slides draws a single-spaced line at, as a multiple of the font size
+const TEXT_FIT_LINE_HEIGHT = 1.2;
+
+// Approximate character widths as a share of the font size
+const CHARACTER_WIDTHS = [
+  { pattern: /[ilj.,:;'!|`’‘\s]/, width: 0.28 },
+  { pattern: /[ftrI()\[\]"“”-]/, width: 0.36 },
+  { pattern: /[mwMW@]/, width: 0.85 },
+  { pattern: /[A-Z]/, width: 0.68 },
+  { pattern: /[0-9]/, width: 0.56 }
+];
+const DEFAULT_CHARACTER_WIDTH = 0.52;
+
+/**
+ * Puts text in a shape at the largest size that fits, splitting the rest over
+ * copies of the slide placed right after it
+ * Returns the number of slides the text fills
+ */
+function fitTextOnSlides(slide, shape, text) {
+  const cleanedText = cleanFitText(text);
+  const parts = splitTextToFit(cleanedText, shape.getWidth(), shape.getHeight());
+
+  adjustFontSizeToFitShape(shape, parts[0]);
+
+  let previous = { slide: slide, text: parts[0] };
+  parts.slice(1).forEach(part => {
+    const copy = previous.slide.duplicate();
+    const copyShape = copy.getShapes().find(candidate => {
+      try {
+        return candidate.getText().asString().trim() === previous.text;
+      } catch (error) {
+        return false;
+      }
+    });
+    if (copyShape) {
+      adjustFontSizeToFitShape(copyShape, part);
+    }
+    previous = { slide: copy, text: part };
+  });
+
+  return parts.length;
+}
+
+/**
+ * Adjusts font size to fit text within shape
+ * Returns false when the text overflows even at CONFIG.MIN_FONT_SIZE
+ */
+function adjustFontSizeToFitShape(shape, text) {
+  try {
+    const textRange = shape.getText();
+    if (!textRange) return false;
+
+    const cleanedText = cleanFitText(text);
+    textRange.setText(cleanedText);
+
+    const fontSize = findFittingFontSize(cleanedText, shape.getWidth(), shape.getHeight());
+    textRange.getTextStyle().setFontSize(fontSize || CONFIG.MIN_FONT_SIZE);
+    return fontSize !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Drops blank lines and surrounding whitespace
+ */
+function cleanFitText(text) {
+  return String(text).replace(/\n\s*\n/g, '\n').trim();
+}
+
+/**
+ * Finds the largest whole font size at which text fits the box, or null
+ */
+function findFittingFontSize(text, width, height) {
+  for (let fontSize = CONFIG.DEFAULT_FONT_SIZE; fontSize >= CONFIG.MIN_FONT_SIZE; fontSize--) {
+    if (calculateTextHeight(text, fontSize, width) <= height) {
+      return fontSize;
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits text into parts that each fit the box at CONFIG.MIN_FONT_SIZE, keeping
+ * whole lines together where possible, then whole sentences, then whole words
+ */
+function splitTextToFit(text, width, height) {
+  const fits = candidate => calculateTextHeight(candidate, CONFIG.MIN_FONT_SIZE, width) <= height;
+  if (text === '' || fits(text) || fitsLineSpacing(text, height)) {
+    return [text];
+  }
+
+  const pieces = [];
+  text.split('\n').forEach(line => {
+    splitLineToFit(line, fits).forEach((piece, index) => {
+      pieces.push({ text: piece, joiner: index === 0 ? '\n' : ' ' });
+    });
+  });
+
+  // Fill parts as full as they go to find how many are needed, then spread the
+  // pieces evenly over that many parts so the last one isn't a stray line
+  const parts = packTextPieces(pieces, fits, pieces.length);
+  const balanced = packTextPieces(pieces, fits, Math.ceil(pieces.length / parts.length));
+  return balanced.length === parts.length ? balanced : parts;
+}
+
+/**
+ * Tells whether text of several typed lines fits with CONFIG.LINE_SPACING
+ * times the minimum size for each line, however the lines wrap
+ */
+function fitsLineSpacing(text, height) {
+  const lineCount = text.split('\n').length;
+  return lineCount > 1 && CONFIG.MIN_FONT_SIZE * CONFIG.LINE_SPACING * lineCount <= height;
+}
+
+/**
+ * Packs pieces in order into parts that fit, with at most maxPieces in each
+ */
+function packTextPieces(pieces, fits, maxPieces) {
+  const parts = [];
+  let current = '';
+  let count = 0;
+
+  pieces.forEach(piece => {
+    const candidate = current === '' ? piece.text : current + piece.joiner + piece.text;
+    if (current === '' || (count < maxPieces && fits(candidate))) {
+      current = candidate;
+      count++;
+    } else {
+      parts.push(current);
+      current = piece.text;
+      count = 1;
+    }
+  });
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Breaks a line that doesn't fit on its own into sentences, or words when a
+ * sentence is still too long
+ */
+function splitLineToFit(line, fits) {
+  if (fits(line)) {
+    return [line];
+  }
+
+  const pieces = [];
+  line.split(/(?<=[.!?;:])\s+/).forEach(sentence => {
+    if (fits(sentence)) {
+      pieces.push(sentence);
+    } else {
+      sentence.split(/\s+/).forEach(word => pieces.push(word));
+    }
+  });
+  return pieces;
+}
+
+/**
+ * Estimates the height of text wrapped to the box width, as Slides draws it
+ */
+function calculateTextHeight(text, fontSize, width) {
+  return fontSize * TEXT_FIT_LINE_HEIGHT * countWrappedLines(text, fontSize, width);
+}
+
+/**
+ * Counts the lines text takes once each line is word-wrapped to the box width
+ */
+function countWrappedLines(text, fontSize, width) {
+  const available = Math.max(width - 2 * TEXT_FIT_INSET, fontSize);
+  const spaceWidth = estimateTextWidth(' ', fontSize);
+
+  return text.split('\n').reduce((count, line) => {
+    let lines = 1;
+    let lineWidth = 0;
+
+    line.split(/\s+/).filter(word => word !== '').forEach(word => {
+      const wordWidth = estimateTextWidth(word, fontSize);
+      if (lineWidth > 0 && lineWidth + spaceWidth + wordWidth > available) {
+        lines++;
+        lineWidth = 0;
+      }
+      lineWidth += (lineWidth > 0 ? spaceWidth : 0) + wordWidth;
+      while (lineWidth > available) {
+        // A word wider than the box breaks onto further lines
+        lines++;
+        lineWidth -= available;
+      }
+    });
+
+    return count + lines;
+  }, 0);
+}
+
+/**
+ * Estimates the width of text in points
+ */
+function estimateTextWidth(text, fontSize) {
+  let total = 0;
+  for (const character of text) {
+    const metric = CHARACTER_WIDTHS.find(item => item.pattern.test(character));
+    total += metric ? metric.width : DEFAULT_CHARACTER_WIDTH;
+  }
+  return total * fontSize;
+}
@@ -0,0 +1,127 @@
+/**
+ * Scheduled builds
+ * installTriggers registers a weekly time trigger that builds the next deck of
+ * every service and, when CONFIG.RETRY_TRIGGER_DAY is set, a later weekly retry
+ * that rebuilds only the decks that did not build cleanly. Run
+ * uninstallTriggers to stop both.
+ */
+
+const TRIGGER_HANDLERS = ['createHymnsSlides', 'createAllServicesSlides', 'retryHymnsSlides'];
+const LAST_BUILD_PROPERTY_PREFIX = 'LAST_BUILD:';
+
+/**
+ * Replaces this script's build triggers with the ones set in CONFIG
+ */
+function installTriggers() {
+  loadSettings();
+  uninstallTriggers();
+
+  ScriptApp.newTrigger('createAllServicesSlides')
+    .timeBased()
+    .onWeekDay(ScriptApp.WeekDay[CONFIG.TRIGGER_DAY])
+    .atHour(CONFIG.TRIGGER_HOUR)
+    .create();
+  Logger.log('Installed weekly build trigger: ' + CONFIG.TRIGGER_DAY + ' at ' + CONFIG.TRIGGER_HOUR + ':00');
+
+  if (CONFIG.RETRY_TRIGGER_DAY) {
+    ScriptApp.newTrigger('retryHymnsSlides')
+      .timeBased()
+      .onWeekDay(ScriptApp.WeekDay[CONFIG.RETRY_TRIGGER_DAY])
+      .atHour(CONFIG.RETRY_TRIGGER_HOUR)
+      .create();
+    Logger.log('Installed weekly retry trigger: ' + CONFIG.RETRY_TRIGGER_DAY + ' at ' + CONFIG.RETRY_TRIGGER_HOUR + ':00');
+  }
+}
+
+/**
+ * Deletes every build and retry trigger of this script
+ * Returns the number of triggers removed
+ */
+function uninstallTriggers() {
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (TRIGGER_HANDLERS.includes(trigger.getHandlerFunction())) {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+  if (removed > 0) {
+    Logger.log('Removed ' + removed + ' build trigger(s)');
+  }
+  return removed;
+}
+
+/**
+ * Rebuilds the deck the weekly build made for every service whose last build
+ * did not finish ok
+ * Returns the run reports of the rebuilt decks
+ */
+function retryHymnsSlides() {
+  loadSettings();
+  const reports = [];
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  getServices().forEach(service => {
+    const target = getRetryServiceDate(service);
+    const serviceDate = getDateFormatted(target);
+    const lastBuild = readLastBuild(service.id);
+
+    if (target < startOfToday) {
+      Logger.log('The ' + service.id + ' service on ' + serviceDate + ' has already taken place, skipping retry');
+      return;
+    }
+    if (lastBuild && lastBuild.serviceDate === serviceDate && lastBuild.status === 'ok') {
+      Logger.log('Deck for ' + service.id + ' on ' + serviceDate + ' already built cleanly, skipping retry');
+      return;
+    }
+
+    const report = buildServiceDeck(service, target, 'retryHymnsSlides');
+    recordLastBuild(report);
+    reports.push(report);
+  });
+
+  return reports;
+}
+
+/**
+ * Gets the service date the weekly build last aimed at: the upcoming service
+ * date as seen on the latest CONFIG.TRIGGER_DAY, today included, so a retry on
+ * the service day itself still rebuilds that day's deck
+ */
+function getRetryServiceDate(service) {
+  const today = new Date();
+  const triggerDay = WEEKDAY_NAMES.indexOf(String(CONFIG.TRIGGER_DAY).toLowerCase());
+  const lastTrigger = new Date(today);
+  lastTrigger.setDate(today.getDate() - (today.getDay() - triggerDay + 7) % 7);
+  return getUpcomingServiceDate(service, lastTrigger);
+}
+
+/**
+ * Saves the service date and status of a finished build for the retry trigger
+ */
+function recordLastBuild(report) {
+  try {
+    PropertiesService.getScriptProperties().setProperty(LAST_BUILD_PROPERTY_PREFIX + report.service, JSON.stringify({
+      serviceDate: report.serviceDate,
+      status: report.status,
+      finishedAt: report.finishedAt,
+      presentationId: report.presentationId
+    }));
+  } catch (error) {
+    Logger.log('Error recording last build: ' + error.toString());
+  }
+}
+
+/**
+ * Reads the last recorded build of a service, or null when there is none
+ */
+function readLastBuild(serviceId) {
+  try {
+    const value = PropertiesService.getScriptProperties().getProperty(LAST_BUILD_PROPERTY_PREFIX + serviceId);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    Logger.log('Error reading last build: ' + error.toString());
+    return null;
+  }
+}